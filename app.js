@@ -0,0 +1,105 @@
+// app.js
+//
+// Builds the Express app: middleware, routers and error handling. Nothing here
+// connects to MongoDB or listens on a port; server.js does that, so tests can
+// create an app against their own database.
+
+const express = require('express');
+const cors = require('cors');
+
+const { createConfig } = require('./services/config');
+const { rateLimit } = require('./services/rateLimit');
+const { errorHandler, errorCodes, notFoundHandler } = require('./services/errors');
+const { router: authRoutes } = require('./routes/auth');
+const flashcardsRoute = require('./routes/flashcards');
+const journalRoute = require('./routes/journal');
+const statsRoute = require('./routes/stats');
+const adminRoute = require('./routes/admin');
+const { router: testsRoute } = require('./routes/tests');
+const wordsTransferRoute = require('./routes/wordsTransfer');
+const wordsRoute = require('./routes/words');
+const groupsRoute = require('./routes/groups');
+const questionsRoute = require('./routes/questions');
+const storiesRoute = require('./routes/stories');
+const savedStoriesRoute = require('./routes/savedStories');
+const grammarRoute = require('./routes/grammar');
+const imagePromptsRoute = require('./routes/imagePrompts');
+const conjugationsRoute = require('./routes/conjugations');
+const sentenceBuilderRoute = require('./routes/sentenceBuilder');
+const sentencesRoute = require('./routes/sentences');
+const learningPathRoute = require('./routes/learningPath');
+
+/**
+ * Create the Express app.
+ * @param {Object} [overrides] - config values (see services/config.js), e.g.
+ *   { jwtSecret, corsOrigin, trustProxy, uploadsDir, logRequests, rateLimit }
+ * @returns {import('express').Express}
+ */
+function createApp(overrides = {}) {
+  const config = createConfig(overrides);
+  if (!config.jwtSecret) throw new Error('createApp: jwtSecret is required');
+
+  const app = express();
+  // Read by middleware and routes through configOf(req)
+  app.locals.config = config;
+
+  // Behind a proxy/load balancer set TRUST_PROXY (e.g. 1) so req.ip is the client address
+  if (config.trustProxy) {
+    app.set('trust proxy', /^\d+$/.test(String(config.trustProxy)) ? Number(config.trustProxy) : config.trustProxy);
+  }
+
+  // Every error body carries a `code` (see services/errors.js)
+  app.use(errorCodes);
+  app.use(cors({ origin: config.corsOrigin, credentials: true }));
+  app.use(express.json({ limit: '10mb' }));
+  app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+  app.use('/uploads', express.static(config.uploadsDir));
+
+  // Logging
+  if (config.logRequests) {
+    app.use((req, res, next) => {
+      console.log(`${new Date().toISOString()} ${req.method} ${req.path}`);
+      next();
+    });
+  }
+
+  // Per-IP rate limit for the whole API (stricter auth limits live in routes/auth.js)
+  app.use('/api', rateLimit('api'));
+
+  // -----------------------
+  // Routes
+  // -----------------------
+  app.use('/api/auth', authRoutes);
+  app.use('/api/flashcards', flashcardsRoute); // protected inside router
+  app.use('/api/journal', journalRoute); // daily writing entries (protected inside router)
+  app.use('/api/stats', statsRoute); // learning statistics from the review log (protected inside router)
+  app.use('/api/admin', adminRoute); // user role management (admin only)
+  app.use('/api/words', wordsTransferRoute); // CSV/XLSX import & export (admin only); before /:id routes
+  app.use('/api/words', wordsRoute); // search, filters, pagination + per-user progress
+  app.use('/api/groups', groupsRoute);
+  app.use('/api/questions', questionsRoute);
+  app.use('/api/stories', storiesRoute);
+  app.use('/api/saved-stories', savedStoriesRoute);
+  app.use('/api/tests', testsRoute); // CRUD, attempts & grading
+  app.use('/api/grammar', grammarRoute);
+  app.use('/api/image-prompts', imagePromptsRoute);
+  app.use('/api/conjugations', conjugationsRoute); // CRUD, drills & mastery
+  app.use('/api/sentence-builder', sentenceBuilderRoute); // template-based sentences & word-order exercises
+  app.use('/api/sentences', sentencesRoute); // sentence library + per-user practice tracking
+  app.use('/api/learning-path', learningPathRoute); // stages, unlock status & advancement
+
+  // -----------------------
+  // HEALTH CHECK
+  // -----------------------
+  app.get('/health', (req, res) => res.json({ status: 'OK', message: 'Server running' }));
+
+  // -----------------------
+  // ERROR HANDLING
+  // -----------------------
+  app.use(notFoundHandler);
+  app.use(errorHandler);
+
+  return app;
+}
+
+module.exports = { createApp };
@@ -0,0 +1,37 @@
+// make-admin.js
+// Usage: npm run make-admin -- user@example.com
+// Promotes an existing user to admin so the first admin can be bootstrapped.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('./models/User');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+
+async function run() {
+  const email = (process.argv[2] || '').toLowerCase().trim();
+  if (!email) {
+    console.error('❌ Usage: npm run make-admin -- <email>');
+    process.exit(1);
+  }
+  if (!MONGODB_URI) {
+    console.error('❌ MONGODB_URI not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI, { family: 4 });
+
+  const user = await User.findOneAndUpdate({ email }, { $set: { role: 'admin' } }, { new: true });
+  if (!user) {
+    console.error(`❌ No user with email ${email}`);
+  } else {
+    console.log(`✅ ${user.email} is now an admin`);
+  }
+
+  await mongoose.disconnect();
+  process.exit(user ? 0 : 1);
+}
+
+run().catch(err => {
+  console.error('❌ Failed to promote user:', err);
+  process.exit(1);
+});
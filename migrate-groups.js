@@ -0,0 +1,80 @@
+// migrate-groups.js
+// Usage: npm run migrate-groups [-- --dry-run]
+//
+// Turns the `group` name strings on words into references to Group documents
+// (models/Group.js):
+//  1. A Group is created for every distinct name (matched case-insensitively to
+//     groups that already exist). Groups are ordered alphabetically.
+//  2. Each word's `group` is replaced with the id of its Group.
+// Blank names and the old default "Other" become null (ungrouped).
+// Words that already reference a group by id are left alone, so the script can be re-run.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Group = require('./models/Group');
+const Word = require('./models/Word');
+const { LEGACY_DEFAULT_GROUP } = require('./services/groups');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const isUngrouped = (name) => !name || name.toLowerCase() === LEGACY_DEFAULT_GROUP.toLowerCase();
+
+async function run() {
+  if (!MONGODB_URI) {
+    console.error('❌ MONGODB_URI not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI, { family: 4 });
+  // Raw collection: the Word schema would cast the old strings away
+  const words = mongoose.connection.db.collection(Word.collection.name);
+
+  const stats = { groupsCreated: 0, groupsExisting: 0, wordsLinked: 0, wordsUngrouped: 0 };
+
+  const names = (await words.distinct('group', { group: { $type: 'string' } }))
+    .map(name => name.trim())
+    .filter(name => !isUngrouped(name))
+    .sort((a, b) => a.localeCompare(b, 'pt'));
+
+  // 1. Groups
+  const existing = await Group.find().select('name order').lean();
+  const ids = new Map(existing.map(g => [g.name.toLowerCase(), g._id]));
+  let order = existing.reduce((max, g) => Math.max(max, g.order + 1), 0);
+
+  for (const name of names) {
+    const key = name.toLowerCase();
+    if (ids.has(key)) {
+      stats.groupsExisting += 1;
+      continue;
+    }
+    // A dry run only needs a placeholder id
+    ids.set(key, DRY_RUN ? key : (await Group.create({ name, order: order++ }))._id);
+    stats.groupsCreated += 1;
+  }
+
+  // 2. Words
+  const rawNames = await words.distinct('group', { group: { $type: 'string' } });
+  for (const rawName of rawNames) {
+    const name = rawName.trim();
+    const groupId = isUngrouped(name) ? null : ids.get(name.toLowerCase());
+    const count = await words.countDocuments({ group: rawName });
+    if (!DRY_RUN) await words.updateMany({ group: rawName }, { $set: { group: groupId } });
+    if (groupId === null) stats.wordsUngrouped += count;
+    else stats.wordsLinked += count;
+  }
+
+  // Words that never had a group field
+  const missing = await words.countDocuments({ group: { $exists: false } });
+  if (!DRY_RUN && missing) await words.updateMany({ group: { $exists: false } }, { $set: { group: null } });
+  stats.wordsUngrouped += missing;
+
+  if (!DRY_RUN) await Word.createIndexes();
+
+  console.log(`${DRY_RUN ? '🔎 Dry run' : '✅ Migration complete'}:`, stats);
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('❌ Group migration failed:', err);
+  process.exit(1);
+});
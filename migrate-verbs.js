@@ -0,0 +1,162 @@
+// migrate-verbs.js
+// Usage: npm run migrate-verbs [-- --dry-run] [-- --drop-conjugations]
+//
+// Moves conjugation tables onto the unified Verb model (models/Verb.js):
+//  1. Legacy documents already in `verbs` (portuguese/eleEla/preterite shape)
+//     are rewritten in place to the unified shape.
+//  2. Documents in `conjugations` are copied into `verbs`, keeping their _id so
+//     existing references (e.g. conjugation mastery) stay valid. If the verb
+//     already exists, missing forms are filled in from the conjugation document.
+// The `conjugations` collection is left untouched unless --drop-conjugations is passed.
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Verb = require('./models/Verb');
+
+const MONGODB_URI = process.env.MONGODB_URI;
+const DRY_RUN = process.argv.includes('--dry-run');
+const DROP_CONJUGATIONS = process.argv.includes('--drop-conjugations');
+
+// Legacy Verb.js tense and person names -> unified names
+const LEGACY_TENSES = {
+  preterite: 'past',
+  subjunctivePresent: 'presentSubjunctive',
+  subjunctiveImperfect: 'imperfectSubjunctive'
+};
+const LEGACY_PERSONS = {
+  eleEla: 'voceEleEla',
+  elesElas: 'vocesEles'
+};
+
+const normalizeTables = (conjugations = {}) => {
+  const tables = {};
+  for (const [rawTense, forms] of Object.entries(conjugations || {})) {
+    const tense = LEGACY_TENSES[rawTense] || rawTense;
+    if (!Verb.TENSES.includes(tense) || !forms) continue;
+    tables[tense] = {};
+    for (const [rawPerson, form] of Object.entries(forms)) {
+      const person = LEGACY_PERSONS[rawPerson] || rawPerson;
+      if (Verb.PERSON_SETS.pt.includes(person) && typeof form === 'string' && form.trim()) {
+        tables[tense][person] = form.trim();
+      }
+    }
+  }
+  return tables;
+};
+
+// Fill forms missing from `target` with those in `source`
+const mergeTables = (target, source) => {
+  const merged = { ...target };
+  for (const [tense, forms] of Object.entries(source)) {
+    merged[tense] = { ...forms, ...(merged[tense] || {}) };
+  }
+  return merged;
+};
+
+// Legacy Verb document -> unified shape
+const fromLegacyVerb = (doc) => ({
+  verb: (doc.verb || doc.portuguese || '').trim(),
+  english: doc.english,
+  type: doc.type || (doc.irregular ? 'irregular' : 'regular'),
+  group: doc.group || 'Verbs',
+  difficulty: doc.difficulty || 'Beginner',
+  conjugations: normalizeTables(doc.conjugations),
+  examples: doc.examples || [],
+  tips: doc.tips || []
+});
+
+// Conjugation document -> unified shape
+const fromConjugation = (doc) => ({
+  verb: (doc.verb || '').trim(),
+  english: doc.english,
+  type: doc.type || 'regular',
+  group: doc.group || 'Verbs',
+  conjugations: normalizeTables(doc.conjugations),
+  example: doc.example,
+  notes: doc.notes,
+  createdAt: doc.createdAt || new Date(),
+  updatedAt: doc.updatedAt || new Date()
+});
+
+async function run() {
+  if (!MONGODB_URI) {
+    console.error('❌ MONGODB_URI not set');
+    process.exit(1);
+  }
+
+  await mongoose.connect(MONGODB_URI, { family: 4 });
+  const db = mongoose.connection.db;
+  const verbs = db.collection('verbs');
+  const conjugations = db.collection('conjugations');
+
+  const stats = { legacyConverted: 0, copied: 0, merged: 0, skipped: 0 };
+
+  // The legacy schema had a unique index on `portuguese`; it would reject the
+  // rewritten documents (all null there), so drop it before converting.
+  if (!DRY_RUN) {
+    const indexes = await verbs.indexes().catch(() => []);
+    if (indexes.some(index => index.name === 'portuguese_1')) await verbs.dropIndex('portuguese_1');
+  }
+
+  // 1. Legacy verbs documents
+  const legacy = await verbs.find({ portuguese: { $exists: true } }).toArray();
+  for (const doc of legacy) {
+    const unified = fromLegacyVerb(doc);
+    if (!unified.verb) {
+      stats.skipped += 1;
+      continue;
+    }
+    if (!DRY_RUN) {
+      await verbs.replaceOne({ _id: doc._id }, { ...unified, createdAt: doc.createdAt || new Date(), updatedAt: new Date() });
+    }
+    stats.legacyConverted += 1;
+  }
+
+  // 2. Conjugation documents
+  const sources = await conjugations.find().toArray();
+  for (const doc of sources) {
+    const unified = fromConjugation(doc);
+    if (!unified.verb || !unified.english) {
+      console.warn(`⚠️  Skipping conjugation ${doc._id}: missing verb or english`);
+      stats.skipped += 1;
+      continue;
+    }
+
+    const existing = await verbs.findOne({ $or: [{ _id: doc._id }, { verb: unified.verb }] });
+    if (existing) {
+      // Keep existing values, fill in whatever is missing
+      const update = {
+        conjugations: mergeTables(normalizeTables(existing.conjugations), unified.conjugations),
+        example: existing.example || unified.example,
+        notes: existing.notes || unified.notes,
+        updatedAt: new Date()
+      };
+      if (!DRY_RUN) await verbs.updateOne({ _id: existing._id }, { $set: update });
+      if (String(existing._id) !== String(doc._id) && !DRY_RUN) {
+        // Point mastery records at the surviving verb
+        try {
+          await db.collection('conjugationmasteries').updateMany({ verbId: doc._id }, { $set: { verbId: existing._id } });
+        } catch (err) {
+          console.warn(`⚠️  ${unified.verb}: could not repoint mastery records from ${doc._id}:`, err.message);
+        }
+      }
+      stats.merged += 1;
+      continue;
+    }
+
+    if (!DRY_RUN) await verbs.insertOne({ _id: doc._id, ...unified });
+    stats.copied += 1;
+  }
+
+  if (!DRY_RUN) {
+    await Verb.syncIndexes();
+    if (DROP_CONJUGATIONS && sources.length) await conjugations.drop();
+  }
+
+  console.log(`${DRY_RUN ? '🔎 Dry run' : '✅ Migration complete'}:`, stats);
+  await mongoose.disconnect();
+}
+
+run().catch(err => {
+  console.error('❌ Verb migration failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,43 @@
+// models/ConjugationMastery.js
+const mongoose = require('mongoose');
+
+// Per-user mastery of one verb in one tense. Scheduling fields mirror the
+// word progress entries so services/scheduler.js can drive both.
+const conjugationMasterySchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  verbId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Verb',
+    required: true
+  },
+  tense: {
+    type: String,
+    required: true
+  },
+  attempts: { type: Number, default: 0 },
+  correct: { type: Number, default: 0 },
+  // Exponential moving average of recent results, 0-1
+  mastery: { type: Number, default: 0, min: 0, max: 1 },
+  // Misses per person (eu, voceEleEla, ...) so drills can target weak forms
+  personErrors: {
+    type: Map,
+    of: Number,
+    default: {}
+  },
+  ease: { type: Number, default: 2.5 },
+  interval: { type: Number, default: 0 },
+  reviewCount: { type: Number, default: 0 },
+  repetitions: { type: Number, default: 0 },
+  lapses: { type: Number, default: 0 },
+  lastReviewed: { type: Date, default: null },
+  nextReview: { type: Date, default: null }
+});
+
+conjugationMasterySchema.index({ userId: 1, verbId: 1, tense: 1 }, { unique: true });
+conjugationMasterySchema.index({ userId: 1, nextReview: 1 });
+
+module.exports = mongoose.model('ConjugationMastery', conjugationMasterySchema);
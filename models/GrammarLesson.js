@@ -47,6 +47,11 @@ const grammarLessonSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Word'
   }],
+  // Lessons to complete before this one
+  prerequisites: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GrammarLesson'
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -57,4 +62,6 @@ const grammarLessonSchema = new mongoose.Schema({
   }
 });
 
+grammarLessonSchema.index({ category: 1, order: 1 });
+
 module.exports = mongoose.model('GrammarLesson', grammarLessonSchema);
@@ -0,0 +1,59 @@
+// models/GrammarProgress.js
+const mongoose = require('mongoose');
+
+// One user's exercise results for one grammar lesson
+const grammarProgressSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  lessonId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'GrammarLesson',
+    required: true
+  },
+  attempts: { type: Number, default: 0 },
+  // Scores are percentages 0-100, like test attempts
+  lastScore: { type: Number, min: 0, max: 100, default: null },
+  bestScore: { type: Number, min: 0, max: 100, default: null },
+  completed: { type: Boolean, default: false },
+  completedAt: { type: Date, default: null },
+  lastAttemptAt: Date
+});
+
+grammarProgressSchema.index({ userId: 1, lessonId: 1 }, { unique: true });
+
+/**
+ * Record one graded attempt with atomic updates, so concurrent attempts are
+ * all counted. A lesson is completed the first time an attempt reaches
+ * passScore and stays completed; only the attempt that completes it gets
+ * newlyCompleted.
+ * @param {number} score - 0-100
+ * @param {number} passScore - 0-100
+ * @returns {Promise<{ progress: Object, newlyCompleted: boolean }>}
+ */
+grammarProgressSchema.statics.record = async function(userId, lessonId, score, passScore, now = new Date(), retried = false) {
+  let progress;
+  try {
+    progress = await this.findOneAndUpdate(
+      { userId, lessonId },
+      { $inc: { attempts: 1 }, $set: { lastScore: score, lastAttemptAt: now }, $max: { bestScore: score } },
+      { new: true, upsert: true, runValidators: true }
+    );
+  } catch (err) {
+    // Two first attempts raced to insert; the loser updates the winner's record
+    if (err.code === 11000 && !retried) return this.record(userId, lessonId, score, passScore, now, true);
+    throw err;
+  }
+
+  if (progress.completed || score < passScore) return { progress, newlyCompleted: false };
+  const completed = await this.findOneAndUpdate(
+    { _id: progress._id, completed: false },
+    { $set: { completed: true, completedAt: now } },
+    { new: true }
+  );
+  return completed ? { progress: completed, newlyCompleted: true } : { progress: await this.findById(progress._id), newlyCompleted: false };
+};
+
+module.exports = mongoose.model('GrammarProgress', grammarProgressSchema);
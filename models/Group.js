@@ -0,0 +1,48 @@
+// models/Group.js
+const mongoose = require('mongoose');
+
+// Common European Framework levels a group can be tagged with
+const CEFR_LEVELS = ['A1', 'A2', 'B1', 'B2', 'C1', 'C2'];
+
+// Vocabulary group (Food, Travel, ...). Words reference their group by id
+// (Word.group); a word without one is "Ungrouped". Groups can nest one inside
+// another through `parent`, and `order` sorts siblings.
+const groupSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  icon: {
+    type: String,
+    default: null
+  },
+  order: {
+    type: Number,
+    default: 0
+  },
+  level: {
+    type: String,
+    enum: [...CEFR_LEVELS, null],
+    default: null
+  },
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+groupSchema.index({ parent: 1, order: 1 });
+
+groupSchema.statics.CEFR_LEVELS = CEFR_LEVELS;
+
+module.exports = mongoose.model('Group', groupSchema);
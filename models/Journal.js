@@ -24,4 +24,7 @@ const journalEntrySchema = new mongoose.Schema({
   timestamps: true  // Adds createdAt automatically
 });
 
+// One entry per user per day
+journalEntrySchema.index({ userId: 1, date: 1 }, { unique: true });
+
 module.exports = mongoose.model('Journal', journalEntrySchema);
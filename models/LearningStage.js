@@ -0,0 +1,51 @@
+// models/LearningStage.js
+const mongoose = require('mongoose');
+
+// One step of the learning path: the vocabulary groups, grammar lessons,
+// stories and tests it covers, and what "done" means for it.
+// Users record completed stages by `key` (User.progress.learningPath), so keys
+// should not change once learners have started the path.
+const learningStageSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  title: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  order: {
+    type: Number,
+    required: true
+  },
+  groups: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Group' }],
+  grammarLessons: [{ type: mongoose.Schema.Types.ObjectId, ref: 'GrammarLesson' }],
+  stories: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Story' }],
+  tests: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Test' }],
+  // Keys of the stages that must be completed first; empty = the previous stage by order
+  unlockAfter: [String],
+  criteria: {
+    // Share of the words in `groups` that must be mature (interval >= 21 days)
+    wordMaturity: { type: Number, min: 0, max: 1, default: 0.8 },
+    // Best score (0-100) needed on every test in `tests`
+    minTestScore: { type: Number, min: 0, max: 100, default: 80 }
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+learningStageSchema.index({ order: 1 });
+
+module.exports = mongoose.model('LearningStage', learningStageSchema);
@@ -0,0 +1,63 @@
+// models/PersonalCard.js
+const mongoose = require('mongoose');
+
+// A word a user picked out of a story (tap-to-learn), with the sentence it came from.
+// When the word is in the Word collection the card links to it and reviews go
+// through that word; otherwise the card is reviewed on its own, keyed by the
+// card id in the user's progress map (services/scheduler.js).
+const personalCardSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Lowercased dictionary form (or the token itself); one card per key and user
+  key: {
+    type: String,
+    required: true
+  },
+  // The token as it appeared in the story
+  portuguese: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  // Dictionary form when the token is an inflection (e.g. falamos -> falar)
+  lemma: {
+    type: String,
+    default: null
+  },
+  english: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  wordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Word',
+    default: null
+  },
+  storyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    default: null
+  },
+  paragraph: {
+    type: Number,
+    min: 0,
+    default: null
+  },
+  context: {
+    type: String,
+    trim: true,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+personalCardSchema.index({ userId: 1, key: 1 }, { unique: true });
+
+module.exports = mongoose.model('PersonalCard', personalCardSchema);
@@ -0,0 +1,27 @@
+// models/RateLimitHit.js
+const mongoose = require('mongoose');
+
+// Request counter for one rate-limit key (e.g. "auth:ip:1.2.3.4") in its
+// current fixed window. Used by the Mongo store in services/rateLimit.js.
+const rateLimitHitSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  count: {
+    type: Number,
+    default: 0
+  },
+  resetAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  versionKey: false
+});
+
+// Let MongoDB remove counters once their window has passed
+rateLimitHitSchema.index({ resetAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('RateLimitHit', rateLimitHitSchema);
@@ -0,0 +1,56 @@
+// models/ReviewLog.js
+const mongoose = require('mongoose');
+
+// One document per flashcard review. Entries are append-only: every field is
+// immutable and no route updates or deletes them.
+const reviewLogSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    immutable: true
+  },
+  wordId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Word',
+    required: true,
+    immutable: true
+  },
+  grade: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 5,
+    immutable: true
+  },
+  algorithm: {
+    type: String,
+    enum: ['sm2', 'fsrs'],
+    default: 'sm2',
+    immutable: true
+  },
+  previousInterval: { type: Number, default: 0, immutable: true },
+  newInterval: { type: Number, required: true, immutable: true },
+  previousEase: { type: Number, default: null, immutable: true },
+  newEase: { type: Number, default: null, immutable: true },
+  responseTimeMs: { type: Number, default: null, min: 0, immutable: true },
+  reviewedAt: {
+    type: Date,
+    default: Date.now,
+    immutable: true
+  }
+});
+
+reviewLogSchema.index({ userId: 1, reviewedAt: -1 });
+reviewLogSchema.index({ userId: 1, wordId: 1, reviewedAt: -1 });
+
+// Block in-place modification of logged reviews
+const rejectUpdate = function(next) {
+  next(new Error('Review log entries are immutable'));
+};
+reviewLogSchema.pre('updateOne', rejectUpdate);
+reviewLogSchema.pre('updateMany', rejectUpdate);
+reviewLogSchema.pre('findOneAndUpdate', rejectUpdate);
+reviewLogSchema.pre('replaceOne', rejectUpdate);
+
+module.exports = mongoose.model('ReviewLog', reviewLogSchema);
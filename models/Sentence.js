@@ -19,7 +19,13 @@ const sentenceSchema = new mongoose.Schema({
   category: {
     type: String,
     default: 'General'
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
   }
 });
 
-module.exports = mongoose.model('Sentence', sentenceSchema);
\ No newline at end of file
+sentenceSchema.index({ difficulty: 1, category: 1 });
+
+module.exports = mongoose.model('Sentence', sentenceSchema);
\ No newline at end of file
@@ -0,0 +1,55 @@
+// models/SentencePractice.js
+const mongoose = require('mongoose');
+
+// How often and how well one user has practiced one sentence
+const sentencePracticeSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  sentenceId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sentence',
+    required: true
+  },
+  attempts: { type: Number, default: 0 },
+  // Scores are 0-1 (1 = fully correct)
+  lastScore: { type: Number, min: 0, max: 1, default: null },
+  bestScore: { type: Number, min: 0, max: 1, default: null },
+  averageScore: { type: Number, min: 0, max: 1, default: null },
+  lastPracticedAt: Date
+});
+
+sentencePracticeSchema.index({ userId: 1, sentenceId: 1 }, { unique: true });
+
+/**
+ * Record one practice attempt in a single atomic upsert, so concurrent
+ * submissions are all counted. The average needs the previous attempts and
+ * average, hence an update pipeline (its expressions read the stored values)
+ * rather than $inc. Two first submissions can still race to insert; the loser
+ * retries against the winner's record.
+ * @param {number} score - 0-1
+ * @returns {Promise<Object>} the updated record
+ */
+sentencePracticeSchema.statics.record = async function(userId, sentenceId, score, now = new Date(), retried = false) {
+  const attempts = { $ifNull: ['$attempts', 0] };
+  try {
+    return await this.findOneAndUpdate({ userId, sentenceId }, [{
+      $set: {
+        attempts: { $add: [attempts, 1] },
+        lastScore: score,
+        bestScore: { $max: ['$bestScore', score] },
+        averageScore: {
+          $divide: [{ $add: [{ $multiply: [{ $ifNull: ['$averageScore', 0] }, attempts] }, score] }, { $add: [attempts, 1] }]
+        },
+        lastPracticedAt: now
+      }
+    }], { new: true, upsert: true });
+  } catch (err) {
+    if (err.code === 11000 && !retried) return this.record(userId, sentenceId, score, now, true);
+    throw err;
+  }
+};
+
+module.exports = mongoose.model('SentencePractice', sentencePracticeSchema);
@@ -0,0 +1,45 @@
+// models/SentenceTemplate.js
+const mongoose = require('mongoose');
+
+// Slot types a template structure can use; each is filled from tagged vocabulary
+const SLOT_TYPES = ['subject', 'pronoun', 'verb', 'object', 'preposition', 'adjective', 'adverb'];
+
+// Sentence structure used by the sentence builder (services/sentenceBuilder.js).
+// The defaults in sentenceTemplates.js are copied in on first use and can then
+// be edited through /api/sentence-builder/templates.
+const sentenceTemplateSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    trim: true,
+    unique: true
+  },
+  structure: {
+    type: [{ type: String, enum: SLOT_TYPES }],
+    validate: {
+      validator: (slots) => slots.length > 0 && slots.includes('verb'),
+      message: 'structure must contain at least one verb slot'
+    }
+  },
+  difficulty: {
+    type: Number,
+    min: 1,
+    max: 3,
+    default: 1
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  examples: [String],
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+sentenceTemplateSchema.statics.SLOT_TYPES = SLOT_TYPES;
+
+module.exports = mongoose.model('SentenceTemplate', sentenceTemplateSchema);
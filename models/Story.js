@@ -47,4 +47,15 @@ const storySchema = new mongoose.Schema({
   }
 });
 
+// Full-text search over titles, descriptions and paragraph text (GET /api/stories?search=)
+storySchema.index(
+  { title: 'text', description: 'text', 'paragraphs.portuguese': 'text', 'paragraphs.english': 'text' },
+  {
+    name: 'story_text',
+    default_language: 'portuguese',
+    weights: { title: 10, description: 5, 'paragraphs.portuguese': 1, 'paragraphs.english': 1 }
+  }
+);
+storySchema.index({ category: 1, difficulty: 1 });
+
 module.exports = mongoose.model('Story', storySchema);
@@ -0,0 +1,180 @@
+// models/StoryProgress.js
+const mongoose = require('mongoose');
+
+// Paragraphs are referred to by index (0-based) in the story's paragraphs array
+
+const bookmarkSchema = new mongoose.Schema({
+  paragraph: { type: Number, required: true, min: 0 },
+  note: { type: String, trim: true, default: '' },
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now }
+}, { _id: false });
+
+const revealSchema = new mongoose.Schema({
+  paragraph: { type: Number, required: true, min: 0 },
+  count: { type: Number, default: 0 },
+  lastRevealedAt: Date
+}, { _id: false });
+
+// One user's reading of one story
+const storyProgressSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  storyId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Story',
+    required: true
+  },
+  // Where the reader is now, and the furthest they have got
+  lastParagraph: { type: Number, default: 0, min: 0 },
+  furthestParagraph: { type: Number, default: 0, min: 0 },
+  timeSpentSeconds: { type: Number, default: 0, min: 0 },
+  startedAt: { type: Date, default: Date.now },
+  lastReadAt: { type: Date, default: Date.now },
+  completedAt: { type: Date, default: null },
+  bookmarks: [bookmarkSchema],
+  // How often the English translation of each paragraph was revealed
+  reveals: [revealSchema]
+});
+
+storyProgressSchema.index({ userId: 1, storyId: 1 }, { unique: true });
+storyProgressSchema.index({ userId: 1, lastReadAt: -1 });
+
+// Every write below is a single atomic update, so concurrent requests neither
+// overwrite each other nor trip over the unique (userId, storyId) index.
+
+const UPSERT_OPTIONS = { new: true, upsert: true, runValidators: true };
+
+/**
+ * Apply an update to a user's record for a story, creating the record if needed.
+ * Two requests creating it at once can both miss; the loser hits the unique
+ * index and retries, which then updates the winner's record.
+ * @param {Object} [match] - extra conditions; when they fail on an existing
+ *   record the upsert collides with it, which is reported as null
+ * @returns {Promise<Object|null>}
+ */
+async function upsertProgress(Model, userId, storyId, update, match = {}, retried = false) {
+  try {
+    return await Model.findOneAndUpdate({ userId, storyId, ...match }, update, UPSERT_OPTIONS);
+  } catch (err) {
+    if (err.code !== 11000) throw err;
+    if (Object.keys(match).length) return null;
+    if (retried) throw err;
+    return upsertProgress(Model, userId, storyId, update, match, true);
+  }
+}
+
+/**
+ * Update the entry for a paragraph in one of the per-paragraph arrays, or add
+ * it when there is none yet. Retries when a concurrent request adds it first.
+ * @param {'bookmarks'|'reveals'} field
+ * @param {Object} existing - $set for a record that has the entry (positional $)
+ * @param {Object} entry - the entry to push otherwise
+ * @param {Object} [record] - $set for the record either way
+ * @param {Object} [inc] - $inc for a record that has the entry
+ */
+async function upsertParagraphEntry(Model, userId, storyId, field, paragraph, { existing, entry, record = {}, inc }) {
+  for (let attempt = 0; attempt < 3; attempt++) {
+    const updated = await Model.findOneAndUpdate(
+      { userId, storyId, [`${field}.paragraph`]: paragraph },
+      inc ? { $set: { ...existing, ...record }, $inc: inc } : { $set: { ...existing, ...record } },
+      { new: true, runValidators: true }
+    );
+    if (updated) return updated;
+
+    const push = { $push: { [field]: { $each: [entry], $sort: { paragraph: 1 } } } };
+    const added = await upsertProgress(Model, userId, storyId, Object.keys(record).length ? { ...push, $set: record } : push,
+      { [`${field}.paragraph`]: { $ne: paragraph } });
+    if (added) return added;
+  }
+  throw new Error(`Could not update ${field} for paragraph ${paragraph}`);
+}
+
+/**
+ * Record reading up to a paragraph and add the time spent. Reaching the last
+ * paragraph (or `completed`) marks the story as completed the first time.
+ * @returns {Promise<Object>} the updated record
+ */
+storyProgressSchema.statics.markRead = async function(userId, storyId, paragraph, paragraphCount,
+  { completed = false, timeSpentSeconds = 0, now = new Date() } = {}) {
+  let record = await upsertProgress(this, userId, storyId, {
+    $set: { lastParagraph: paragraph, lastReadAt: now },
+    $max: { furthestParagraph: paragraph },
+    $inc: { timeSpentSeconds: Math.round(timeSpentSeconds) }
+  });
+
+  if (!record.completedAt && (completed || (paragraphCount > 0 && paragraph >= paragraphCount - 1))) {
+    // completedAt: null keeps the first completion time when two requests finish at once
+    record = await this.findOneAndUpdate({ _id: record._id, completedAt: null }, { $set: { completedAt: now } }, { new: true }) ||
+      await this.findById(record._id);
+  }
+  return record;
+};
+
+// Count one reveal of a paragraph's translation
+storyProgressSchema.statics.recordReveal = function(userId, storyId, paragraph, now = new Date()) {
+  return upsertParagraphEntry(this, userId, storyId, 'reveals', paragraph, {
+    existing: { 'reveals.$.lastRevealedAt': now },
+    inc: { 'reveals.$.count': 1 },
+    entry: { paragraph, count: 1, lastRevealedAt: now },
+    record: { lastReadAt: now }
+  });
+};
+
+// Add or update the bookmark on a paragraph (one per paragraph)
+storyProgressSchema.statics.setBookmark = function(userId, storyId, paragraph, note, now = new Date()) {
+  const existing = { 'bookmarks.$.updatedAt': now };
+  if (note !== undefined) existing['bookmarks.$.note'] = note;
+  return upsertParagraphEntry(this, userId, storyId, 'bookmarks', paragraph, {
+    existing,
+    entry: { paragraph, note: note || '', createdAt: now, updatedAt: now }
+  });
+};
+
+/**
+ * Remove the bookmark on a paragraph.
+ * @returns {Promise<Object|null>} the updated record, or null when there was no such bookmark
+ */
+storyProgressSchema.statics.removeBookmark = function(userId, storyId, paragraph) {
+  return this.findOneAndUpdate(
+    { userId, storyId, 'bookmarks.paragraph': paragraph },
+    { $pull: { bookmarks: { paragraph } } },
+    { new: true }
+  );
+};
+
+/**
+ * Client view: progress plus completion percentage and reveal stats.
+ * @param {number} paragraphCount - paragraphs in the story now
+ */
+storyProgressSchema.methods.toSummary = function(paragraphCount) {
+  const totalReveals = this.reveals.reduce((sum, r) => sum + r.count, 0);
+  const revealed = this.reveals.filter(r => r.paragraph < paragraphCount).length;
+  return {
+    storyId: this.storyId,
+    lastParagraph: this.lastParagraph,
+    furthestParagraph: this.furthestParagraph,
+    paragraphCount,
+    percentComplete: this.completedAt
+      ? 100
+      : paragraphCount ? Math.round(Math.min(1, (this.furthestParagraph + 1) / paragraphCount) * 100) : 0,
+    completed: Boolean(this.completedAt),
+    completedAt: this.completedAt,
+    timeSpentSeconds: this.timeSpentSeconds,
+    startedAt: this.startedAt,
+    lastReadAt: this.lastReadAt,
+    bookmarks: this.bookmarks,
+    reveals: {
+      total: totalReveals,
+      paragraphsRevealed: revealed,
+      // Share of the story's paragraphs whose translation was looked at
+      rate: paragraphCount ? revealed / paragraphCount : 0,
+      byParagraph: this.reveals
+    }
+  };
+};
+
+module.exports = mongoose.model('StoryProgress', storyProgressSchema);
@@ -0,0 +1,69 @@
+// models/TestAttempt.js
+const mongoose = require('mongoose');
+
+const attemptAnswerSchema = new mongoose.Schema({
+  questionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true
+  },
+  selected: {
+    type: Number,
+    default: null  // null when the question was left unanswered
+  },
+  correct: {
+    type: Boolean,
+    required: true
+  }
+}, { _id: false });
+
+const testAttemptSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  testId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Test',
+    required: true
+  },
+  answers: [attemptAnswerSchema],
+  correctCount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  questionCount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  score: {
+    type: Number,  // percentage 0-100
+    required: true,
+    min: 0,
+    max: 100
+  },
+  timeSpentSeconds: {
+    type: Number,
+    default: null,
+    min: 0
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  toJSON: {
+    transform: function(doc, ret) {
+      ret.id = ret._id;
+      delete ret._id;
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+testAttemptSchema.index({ userId: 1, testId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('TestAttempt', testAttemptSchema);
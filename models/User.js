@@ -5,6 +5,11 @@ const WordProgressSchema = new mongoose.Schema({
   ease: { type: Number, default: 2.5 },
   interval: { type: Number, default: 0 },
   reviewCount: { type: Number, default: 0 },
+  repetitions: { type: Number },  // consecutive successful reviews (SM-2); unset on legacy entries
+  lapses: { type: Number, default: 0 },
+  stability: { type: Number, default: null },  // FSRS memory stability in days
+  difficulty: { type: Number, default: null }, // FSRS difficulty 1-10
+  firstReviewed: { type: Date, default: null },
   lastReviewed: { type: Date, default: null },
   nextReview: { type: Date, default: null }
 }, { _id: false });
@@ -34,11 +39,27 @@ const userSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  role: {
+    type: String,
+    enum: ['admin', 'student'],
+    default: 'student'
+  },
+  // Access tokens issued before either date are rejected (see routes/auth.js)
+  passwordChangedAt: { type: Date, default: null },
+  sessionsRevokedAt: { type: Date, default: null },
+  // Failed password attempts, for progressive login lockout
+  loginAttempts: {
+    failed: { type: Number, default: 0 },
+    lastFailedAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null }
+  },
   createdAt: {
     type: Date,
     default: Date.now
   },
   progress: {
+    // LearningStage keys; written only by services/learningPath.js
+    // (PUT /api/auth/progress rejects it, so completions can't be claimed by clients)
     learningPath: {
       currentStage: { type: String, default: 'stage-1' },
       completedStages: { type: [String], default: [] }
@@ -60,7 +81,10 @@ const userSchema = new mongoose.Schema({
       },
 
       // History array for compatibility / audit
-      history: { type: [WordHistorySchema], default: [] }
+      history: { type: [WordHistorySchema], default: [] },
+
+      // New words to introduce before the rest of the deck (see services/scheduler.js)
+      queue: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Word' }]
     },
 
     savedStories: [{
@@ -78,6 +102,14 @@ const userSchema = new mongoose.Schema({
     }]
   },
 
+  settings: {
+    srs: {
+      algorithm: { type: String, enum: ['sm2', 'fsrs'], default: 'sm2' },
+      newCardsPerDay: { type: Number, default: 20, min: 0 },
+      reviewsPerDay: { type: Number, default: 200, min: 0 }
+    }
+  },
+
   streak: {
     current: { type: Number, default: 0 },
     longest: { type: Number, default: 0 },
@@ -85,6 +117,70 @@ const userSchema = new mongoose.Schema({
   }
 });
 
+const ONE_DAY_MS = 1000 * 60 * 60 * 24;
+
+// Day key used for streak comparisons, e.g. "2025-08-31"
+const toDayKey = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Record activity for `date` (defaults to now) on the streak counters.
+ * Activity on the same day as lastActive is a no-op, the day after continues the
+ * streak, and anything later resets it to 1. Callers are responsible for saving.
+ */
+userSchema.methods.recordActivity = function(date = new Date()) {
+  const today = toDayKey(date);
+  const lastActive = this.streak.lastActive ? toDayKey(this.streak.lastActive) : null;
+
+  if (lastActive === today) {
+    return this.streak;
+  }
+
+  const yesterday = toDayKey(new Date(date).getTime() - ONE_DAY_MS);
+  this.streak.current = lastActive === yesterday ? (this.streak.current || 0) + 1 : 1;
+  if (this.streak.current > (this.streak.longest || 0)) {
+    this.streak.longest = this.streak.current;
+  }
+  this.streak.lastActive = date;
+  return this.streak;
+};
+
+// Login lockout: from the 5th consecutive failure the account locks for 1 minute,
+// doubling with each further failure up to an hour. Failures older than a day
+// are forgotten.
+const LOCKOUT_THRESHOLD = 5;
+const LOCKOUT_BASE_MS = 60 * 1000;
+const LOCKOUT_MAX_MS = 60 * 60 * 1000;
+
+/**
+ * Milliseconds until the account unlocks (0 when not locked).
+ */
+userSchema.methods.loginLockRemaining = function(now = new Date()) {
+  const lockedUntil = this.loginAttempts && this.loginAttempts.lockedUntil;
+  return lockedUntil ? Math.max(0, lockedUntil.getTime() - now.getTime()) : 0;
+};
+
+/**
+ * Count a failed login and lock the account when over the threshold.
+ * Written with updateOne so the failure isn't treated as user activity.
+ */
+userSchema.methods.recordFailedLogin = async function(now = new Date()) {
+  const attempts = this.loginAttempts || {};
+  const stale = !attempts.lastFailedAt || now - attempts.lastFailedAt > ONE_DAY_MS;
+  const failed = (stale ? 0 : attempts.failed || 0) + 1;
+  const lockedUntil = failed >= LOCKOUT_THRESHOLD
+    ? new Date(now.getTime() + Math.min(LOCKOUT_MAX_MS, LOCKOUT_BASE_MS * 2 ** (failed - LOCKOUT_THRESHOLD)))
+    : null;
+
+  this.loginAttempts = { failed, lastFailedAt: now, lockedUntil };
+  await this.constructor.updateOne({ _id: this._id }, { $set: { loginAttempts: this.loginAttempts } });
+  return this.loginAttempts;
+};
+
+userSchema.methods.clearFailedLogins = async function() {
+  this.loginAttempts = { failed: 0, lastFailedAt: null, lockedUntil: null };
+  await this.constructor.updateOne({ _id: this._id }, { $set: { loginAttempts: this.loginAttempts } });
+};
+
 // Streak update: only adjust streak when user is newly created or when `progress` was modified
 userSchema.pre('save', function(next) {
   try {
@@ -103,31 +199,7 @@ userSchema.pre('save', function(next) {
       return next();
     }
 
-    // Otherwise compute difference between the stored lastActive and now
-    const lastActive = this.streak.lastActive ? new Date(this.streak.lastActive) : null;
-    if (!lastActive) {
-      this.streak.current = 1;
-      this.streak.longest = Math.max(this.streak.longest || 0, this.streak.current);
-      this.streak.lastActive = today;
-      return next();
-    }
-
-    const diffMs = today - lastActive;
-    const oneDay = 1000 * 60 * 60 * 24;
-
-    // If the last active was yesterday (+/- tolerance), increment streak
-    if (diffMs > 0 && diffMs <= (oneDay * 2)) {
-      // within 2 days -> continue streak (safe tolerance)
-      this.streak.current = (this.streak.current || 0) + 1;
-      if (this.streak.current > (this.streak.longest || 0)) {
-        this.streak.longest = this.streak.current;
-      }
-    } else {
-      // gap too big -> reset to 1
-      this.streak.current = 1;
-    }
-
-    this.streak.lastActive = today;
+    this.recordActivity(today);
     return next();
   } catch (err) {
     // don't block save on error, but log
@@ -1,23 +1,60 @@
+// models/Verb.js
+//
+// Unified verb model. Replaces the separate Conjugation (8 tenses, Brazilian
+// persons) and Verb (11 tenses, six-person paradigm) schemas; see
+// migrate-verbs.js for converting existing documents.
+//
+// Persons are stored as the full six-person paradigm. Brazilian Portuguese uses
+// four of them (você/ele/ela and vocês/eles/elas share forms); European
+// Portuguese adds tu and vós.
 const mongoose = require('mongoose');
 
-const conjugationSchema = new mongoose.Schema({
+const PERSON_SETS = {
+  br: ['eu', 'voceEleEla', 'nos', 'vocesEles'],
+  pt: ['eu', 'tu', 'voceEleEla', 'nos', 'vos', 'vocesEles']
+};
+
+const SIMPLE_TENSES = [
+  'present',
+  'past',
+  'imperfect',
+  'future',
+  'conditional',
+  'presentSubjunctive',
+  'imperfectSubjunctive',
+  'imperative'
+];
+
+// Compound tenses (ter + past participle)
+const COMPOUND_TENSES = ['presentPerfect', 'pluperfect', 'futurePerfect'];
+
+const TENSES = [...SIMPLE_TENSES, ...COMPOUND_TENSES];
+
+const personFormsSchema = new mongoose.Schema({
   eu: String,
   tu: String,
-  eleEla: String,
+  voceEleEla: String,
   nos: String,
   vos: String,
-  elesElas: String
-});
+  vocesEles: String
+}, { _id: false });
 
 const verbSchema = new mongoose.Schema({
-  portuguese: {
+  verb: {
     type: String,
     required: true,
+    trim: true,
     unique: true
   },
   english: {
     type: String,
-    required: true
+    required: true,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['regular', 'irregular'],
+    default: 'regular'
   },
   group: {
     type: String,
@@ -28,28 +65,58 @@ const verbSchema = new mongoose.Schema({
     enum: ['Beginner', 'Intermediate', 'Advanced'],
     default: 'Beginner'
   },
-  irregular: {
-    type: Boolean,
-    default: false
-  },
-  conjugations: {
-    present: conjugationSchema,
-    preterite: conjugationSchema,
-    imperfect: conjugationSchema,
-    future: conjugationSchema,
-    conditional: conjugationSchema,
-    presentPerfect: conjugationSchema,
-    pluperfect: conjugationSchema,
-    futurePerfect: conjugationSchema,
-    subjunctivePresent: conjugationSchema,
-    subjunctiveImperfect: conjugationSchema,
-    imperative: conjugationSchema
+  conjugations: TENSES.reduce((tenses, tense) => {
+    tenses[tense] = { type: personFormsSchema, default: () => ({}) };
+    return tenses;
+  }, {}),
+  example: {
+    portuguese: String,
+    english: String
   },
   examples: [{
+    _id: false,
     portuguese: String,
     english: String
   }],
-  tips: [String]
+  notes: String,
+  tips: [String],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+verbSchema.pre('save', function(next) {
+  this.updatedAt = new Date();
+  next();
 });
 
-module.exports = mongoose.model('Verb', verbSchema);
\ No newline at end of file
+/**
+ * Plain object for API responses, limited to one variant's persons.
+ * @param {'br'|'pt'} [variant] - omit to return every stored person
+ */
+verbSchema.methods.toVariant = function(variant) {
+  const obj = this.toObject();
+  const persons = PERSON_SETS[variant];
+  if (!persons) return obj;
+
+  for (const tense of Object.keys(obj.conjugations || {})) {
+    const forms = obj.conjugations[tense] || {};
+    obj.conjugations[tense] = persons.reduce((picked, person) => {
+      if (forms[person] !== undefined) picked[person] = forms[person];
+      return picked;
+    }, {});
+  }
+  return obj;
+};
+
+verbSchema.statics.PERSON_SETS = PERSON_SETS;
+verbSchema.statics.TENSES = TENSES;
+verbSchema.statics.SIMPLE_TENSES = SIMPLE_TENSES;
+verbSchema.statics.COMPOUND_TENSES = COMPOUND_TENSES;
+
+module.exports = mongoose.model('Verb', verbSchema);
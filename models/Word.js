@@ -14,9 +14,27 @@ const wordSchema = new mongoose.Schema({
     type: String,
     required: true
   },
+  // models/Group.js; null = ungrouped
   group: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Group',
+    default: null,
+    index: true
+  },
+  partOfSpeech: {
+    type: String,
+    enum: ['noun', 'verb', 'adjective', 'adverb', 'pronoun', 'preposition', 'conjunction', 'article', 'numeral', 'interjection', 'phrase', 'other'],
+    default: null
+  },
+  gender: {
+    type: String,
+    enum: ['masculine', 'feminine', 'both', null],  // nouns/adjectives only
+    default: null
+  },
+  difficulty: {
     type: String,
-    default: 'Other'
+    enum: ['beginner', 'intermediate', 'advanced'],
+    default: 'beginner'
   },
   examples: [{
     type: String,
@@ -0,0 +1,57 @@
+// routes/admin.js
+const express = require('express');
+const router = express.Router();
+
+const User = require('../models/User');
+const tokens = require('../services/tokens');
+const { authenticateToken, requireRole } = require('./auth');
+const { asyncHandler, BadRequestError, NotFoundError } = require('../services/errors');
+
+const ROLES = User.schema.path('role').enumValues;
+
+// Everything in here is admin only
+router.use(authenticateToken, requireRole('admin'));
+
+/**
+ * GET /api/admin/users
+ * Query: role (optional filter)
+ */
+router.get('/users', asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.role) {
+    if (!ROLES.includes(req.query.role)) throw new BadRequestError('Invalid role');
+    filter.role = req.query.role;
+  }
+  const users = await User.find(filter).select('name email role createdAt').sort({ email: 1 });
+  res.json(users);
+}));
+
+/**
+ * PUT /api/admin/users/:id/role
+ * Body: { role: 'admin'|'student' }
+ * Promotes or demotes a user. The last remaining admin can't be demoted.
+ * Access tokens carry the role, so the user's sessions are revoked and the
+ * new role applies from their next login.
+ */
+router.put('/users/:id/role', asyncHandler(async (req, res) => {
+  const { role } = req.body;
+  if (!ROLES.includes(role)) throw new BadRequestError(`role must be one of: ${ROLES.join(', ')}`);
+
+  const user = await User.findById(req.params.id);
+  if (!user) throw new NotFoundError('User not found');
+
+  if (user.role === 'admin' && role !== 'admin') {
+    const admins = await User.countDocuments({ role: 'admin' });
+    if (admins <= 1) throw new BadRequestError('Cannot demote the last admin');
+  }
+
+  if (user.role !== role) {
+    user.role = role;
+    user.sessionsRevokedAt = new Date();
+    await Promise.all([user.save(), tokens.revokeAllForUser(user._id)]);
+  }
+
+  res.json({ id: user._id, name: user.name, email: user.email, role: user.role });
+}));
+
+module.exports = router;
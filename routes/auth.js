@@ -3,132 +3,330 @@ const router = express.Router();
 const User = require('../models/User');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
-
-const JWT_SECRET = process.env.JWT_SECRET;
-if (!JWT_SECRET) {
-  console.error('❌ JWT_SECRET is not set in .env file');
-  process.exit(1);
-}
+const tokens = require('../services/tokens');
+const passwords = require('../services/passwords');
+const { sendMail } = require('../services/mailer');
+const { rateLimit, byAccount } = require('../services/rateLimit');
+const { configOf } = require('../services/config');
+const { validate } = require('../services/validation');
+const schemas = require('../services/requestSchemas');
+const {
+  asyncHandler,
+  BadRequestError,
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UnauthorizedError,
+  ValidationError
+} = require('../services/errors');
 
 // Authentication middleware
-const authenticateToken = (req, res, next) => {
+// Tokens issued before the user's last password change or logout-all are rejected.
+const authenticateToken = asyncHandler(async (req, res, next) => {
   const token = req.headers.authorization?.split(' ')[1];
-  if (!token) return res.status(401).json({ error: 'Access denied. No token provided.' });
+  if (!token) throw new UnauthorizedError('Access denied. No token provided.');
 
+  let verified;
   try {
-    const verified = jwt.verify(token, JWT_SECRET);
-    req.user = verified;
-    next();
+    verified = jwt.verify(token, configOf(req).jwtSecret);
   } catch (err) {
-    console.error('❌ JWT verification failed:', err.message);
-    return res.status(403).json({ error: 'Invalid or expired token.' });
+    // TOKEN_EXPIRED tells the client to call /refresh
+    const code = err.name === 'TokenExpiredError' ? 'TOKEN_EXPIRED' : 'TOKEN_INVALID';
+    throw new ForbiddenError('Invalid or expired token.', { code });
   }
+
+  const user = await User.findById(verified.id).select('passwordChangedAt sessionsRevokedAt').lean();
+  if (!user) throw new UnauthorizedError('User no longer exists.');
+
+  // iat has one-second resolution
+  const validAfter = Math.max(
+    user.passwordChangedAt ? Math.floor(new Date(user.passwordChangedAt).getTime() / 1000) : 0,
+    user.sessionsRevokedAt ? Math.floor(new Date(user.sessionsRevokedAt).getTime() / 1000) : 0
+  );
+  if (verified.iat < validAfter) {
+    throw new ForbiddenError('Token has been revoked. Please log in again.', { code: 'TOKEN_REVOKED' });
+  }
+
+  req.user = verified;
+  next();
+});
+
+// For public endpoints that add per-user data for logged-in users: requests
+// without a token go through anonymously (no req.user); a token that is sent
+// is checked as in authenticateToken, so clients learn when to refresh it.
+const optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) return next();
+  authenticateToken(req, res, next);
 };
 
+// Role middleware: use after authenticateToken, e.g. requireRole('admin')
+// Tokens issued before roles existed carry no role and are treated as students.
+const requireRole = (...roles) => (req, res, next) => {
+  const role = req.user?.role || 'student';
+  if (!roles.includes(role)) return next(new ForbiddenError('You do not have permission to perform this action.'));
+  next();
+};
+
+// Password rule failures as field errors
+const checkPassword = (password, user, field) => {
+  const problems = passwords.validatePassword(password, user);
+  if (problems.length) throw new ValidationError(problems.map(message => ({ field, message })), problems[0]);
+};
+
+// Per-IP limit on every credential endpoint; per-account limit where an email is sent
+const authLimit = rateLimit('auth');
+const accountLimit = rateLimit('account', { key: byAccount });
+
 // ------------------------
 // Register
 // ------------------------
-router.post('/register', async (req, res) => {
-  try {
-    const { name, email, password } = req.body;
-    if (!name || !email || !password) {
-      return res.status(400).json({ error: 'Name, email, and password are required.' });
+router.post('/register', authLimit, asyncHandler(async (req, res) => {
+  const { name, email, password } = req.body;
+  if (!name || !email || !password) {
+    throw new BadRequestError('Name, email, and password are required.');
+  }
+
+  const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  if (!emailRegex.test(email)) throw new BadRequestError('Invalid email format.');
+
+  checkPassword(password, { email, name }, 'password');
+
+  const existingUser = await User.findOne({ email });
+  if (existingUser) throw new ConflictError('User already exists.');
+
+  const hashedPassword = await passwords.hashPassword(password);
+
+  const user = new User({ name, email, password: hashedPassword });
+  await user.save();
+
+  const issued = await tokens.issueTokens(user, tokens.requestMeta(req), configOf(req).jwtSecret);
+
+  res.json({
+    ...issued,
+    user: {
+      id: user._id,
+      name,
+      email,
+      role: user.role,
+      progress: user.progress,
+      streak: user.streak
     }
+  });
+}));
+
+// ------------------------
+// Login
+// ------------------------
+const lockedOut = (res, lockedMs) => {
+  const seconds = Math.ceil(lockedMs / 1000);
+  res.set('Retry-After', String(seconds));
+  return res.status(429).json({
+    error: `Too many failed login attempts. Try again in ${Math.ceil(seconds / 60)} minute(s).`,
+    code: 'ACCOUNT_LOCKED',
+    retryAfter: seconds
+  });
+};
 
-    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-    if (!emailRegex.test(email)) return res.status(400).json({ error: 'Invalid email format.' });
+router.post('/login', authLimit, accountLimit, asyncHandler(async (req, res) => {
+  const { email, password } = req.body;
+  if (!email || !password) throw new BadRequestError('Email and password are required.');
 
-    const existingUser = await User.findOne({ email });
-    if (existingUser) return res.status(400).json({ error: 'User already exists.' });
+  const user = await User.findOne({ email });
+  if (!user) throw new BadRequestError('Invalid credentials.');
 
-    const salt = await bcrypt.genSalt(10);
-    const hashedPassword = await bcrypt.hash(password, salt);
+  const lockedMs = user.loginLockRemaining();
+  if (lockedMs > 0) return lockedOut(res, lockedMs);
 
-    const user = new User({ name, email, password: hashedPassword });
-    await user.save();
+  const isMatch = await bcrypt.compare(password, user.password);
+  if (!isMatch) {
+    await user.recordFailedLogin();
+    // Tell the user as soon as this failure locked the account
+    const nowLockedMs = user.loginLockRemaining();
+    if (nowLockedMs > 0) return lockedOut(res, nowLockedMs);
+    throw new BadRequestError('Invalid credentials.');
+  }
+  if (user.loginAttempts && user.loginAttempts.failed) await user.clearFailedLogins();
 
-    const token = jwt.sign({ id: user._id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
+  const issued = await tokens.issueTokens(user, tokens.requestMeta(req), configOf(req).jwtSecret);
 
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        name,
-        email,
-        progress: user.progress,
-        streak: user.streak
-      }
-    });
-  } catch (error) {
-    console.error('Registration error:', error);
-    res.status(500).json({ error: 'Registration failed.' });
+  res.json({
+    ...issued,
+    user: {
+      id: user._id,
+      name: user.name,
+      email,
+      role: user.role,
+      progress: user.progress,
+      streak: user.streak
+    }
+  });
+}));
+
+// ------------------------
+// Refresh: exchange a refresh token for a new access + refresh token pair
+// ------------------------
+router.post('/refresh', authLimit, asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) throw new BadRequestError('refreshToken is required.');
+
+  const result = await tokens.rotateRefreshToken(
+    refreshToken,
+    (userId) => User.findById(userId).select('email role'),
+    tokens.requestMeta(req),
+    configOf(req).jwtSecret
+  );
+  if (result.error) throw new UnauthorizedError(result.error);
+
+  res.json(result.tokens);
+}));
+
+// ------------------------
+// Logout: revoke this device's session
+// ------------------------
+router.post('/logout', asyncHandler(async (req, res) => {
+  const { refreshToken } = req.body;
+  if (!refreshToken) throw new BadRequestError('refreshToken is required.');
+
+  await tokens.revokeSession(refreshToken);
+  res.json({ message: 'Logged out.' });
+}));
+
+// ------------------------
+// Logout from all devices: revoke every refresh token and outstanding access token
+// ------------------------
+router.post('/logout-all', authenticateToken, asyncHandler(async (req, res) => {
+  await Promise.all([
+    tokens.revokeAllForUser(req.user.id),
+    User.updateOne({ _id: req.user.id }, { $set: { sessionsRevokedAt: new Date() } })
+  ]);
+  res.json({ message: 'Logged out from all devices.' });
+}));
+
+// ------------------------
+// Change password (logged in). Other sessions are signed out; this device
+// gets a fresh token pair.
+// ------------------------
+router.post('/change-password', authenticateToken, asyncHandler(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+  if (!currentPassword || !newPassword) {
+    throw new BadRequestError('Current and new password are required.');
   }
-});
+
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError('User not found.');
+
+  const isMatch = await bcrypt.compare(currentPassword, user.password);
+  if (!isMatch) throw new BadRequestError('Current password is incorrect.');
+
+  checkPassword(newPassword, user, 'newPassword');
+  if (await bcrypt.compare(newPassword, user.password)) {
+    throw new BadRequestError('New password must be different from the current one.');
+  }
+
+  user.password = await passwords.hashPassword(newPassword);
+  user.passwordChangedAt = new Date();
+  await user.save();
+  await tokens.revokeAllForUser(user._id);
+
+  const issued = await tokens.issueTokens(user, tokens.requestMeta(req), configOf(req).jwtSecret);
+  res.json({ message: 'Password changed successfully.', ...issued });
+}));
 
 // ------------------------
-// Login
+// Forgot password: email a single-use reset token.
+// Always answers the same way so it can't be used to probe for accounts.
 // ------------------------
-router.post('/login', async (req, res) => {
-  try {
-    const { email, password } = req.body;
-    if (!email || !password) return res.status(400).json({ error: 'Email and password are required.' });
-
-    const user = await User.findOne({ email });
-    if (!user) return res.status(400).json({ error: 'Invalid credentials.' });
-
-    const isMatch = await bcrypt.compare(password, user.password);
-    if (!isMatch) return res.status(400).json({ error: 'Invalid credentials.' });
-
-    const token = jwt.sign({ id: user._id, email: user.email }, JWT_SECRET, { expiresIn: '7d' });
-
-    res.json({
-      token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email,
-        progress: user.progress,
-        streak: user.streak
-      }
+router.post('/forgot-password', authLimit, accountLimit, asyncHandler(async (req, res) => {
+  const { email } = req.body;
+  if (!email || typeof email !== 'string') throw new BadRequestError('Email is required.');
+
+  const user = await User.findOne({ email: email.trim().toLowerCase() });
+  if (user) {
+    const { token } = await passwords.createResetToken(user._id);
+    const link = process.env.RESET_PASSWORD_URL
+      ? `${process.env.RESET_PASSWORD_URL}${process.env.RESET_PASSWORD_URL.includes('?') ? '&' : '?'}token=${token}`
+      : null;
+
+    await sendMail({
+      to: user.email,
+      subject: 'Reset your password',
+      text: [
+        `Hi ${user.name},`,
+        '',
+        'Someone asked to reset the password for your account.',
+        link ? `Open this link to choose a new password: ${link}` : `Your reset code: ${token}`,
+        '',
+        `It expires in ${passwords.RESET_TOKEN_TTL_MINUTES} minutes and works once.`,
+        "If you didn't ask for this, you can ignore this email."
+      ].join('\n')
     });
-  } catch (error) {
-    console.error('Login error:', error);
-    res.status(500).json({ error: 'Login failed.' });
   }
-});
+
+  res.json({ message: 'If an account exists for that email, a reset link has been sent.' });
+}));
 
 // ------------------------
-// Get current user
+// Reset password with a token from /forgot-password. Signs out every session.
 // ------------------------
-router.get('/me', authenticateToken, async (req, res) => {
-  try {
-    const user = await User.findById(req.user.id).select('-password');
-    if (!user) return res.status(404).json({ error: 'User not found.' });
-    res.json(user);
-  } catch (error) {
-    console.error('Get user error:', error);
-    res.status(500).json({ error: 'Failed to get user.' });
+router.post('/reset-password', authLimit, asyncHandler(async (req, res) => {
+  const { token, newPassword } = req.body;
+  if (!token || !newPassword) throw new BadRequestError('Token and new password are required.');
+
+  const userId = await passwords.findResetTokenUser(token);
+  const user = userId && await User.findById(userId);
+  if (!user) throw new BadRequestError('Reset token is invalid or has expired.');
+
+  checkPassword(newPassword, user, 'newPassword');
+
+  // Spend the token atomically so it can only be used once
+  if (!(await passwords.redeemResetToken(token))) {
+    throw new BadRequestError('Reset token is invalid or has expired.');
   }
-});
+
+  user.password = await passwords.hashPassword(newPassword);
+  user.passwordChangedAt = new Date();
+  await user.save();
+  await tokens.revokeAllForUser(user._id);
+
+  res.json({ message: 'Password has been reset. Please log in.' });
+}));
+
+// ------------------------
+// Get current user
+// ------------------------
+router.get('/me', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('-password -passwordChangedAt -sessionsRevokedAt -loginAttempts');
+  if (!user) throw new NotFoundError('User not found.');
+  res.json(user);
+}));
 
 // ------------------------
 // Update user progress
 // ------------------------
-router.put('/progress', authenticateToken, async (req, res) => {
-  try {
-    const { progress } = req.body;
-    const user = await User.findByIdAndUpdate(
-      req.user.id,
-      { progress },
-      { new: true, select: '-password' }
-    );
-    if (!user) return res.status(404).json({ error: 'User not found.' });
-    res.json(user);
-  } catch (error) {
-    console.error('Update progress error:', error);
-    res.status(500).json({ error: 'Failed to update progress.' });
+router.put('/progress', authenticateToken, asyncHandler(async (req, res) => {
+  const { progress } = req.body;
+  if (!progress || typeof progress !== 'object') {
+    throw new BadRequestError('progress object is required.');
   }
-});
 
-// ✅ Export both router and middleware
-module.exports = { router, authenticateToken };
+  // Anything outside the whitelist (words, tests, learningPath) is server-owned
+  const { value, errors } = validate(schemas.progressUpdate, progress, { partial: true });
+  for (const key of Object.keys(progress)) {
+    if (!schemas.progressUpdate[key]) errors.push({ field: `progress.${key}`, message: `progress.${key} cannot be updated` });
+  }
+  if (errors.length) throw new ValidationError(errors);
+
+  const update = {};
+  for (const [key, fieldValue] of Object.entries(value)) update[`progress.${key}`] = fieldValue;
+
+  const user = await User.findByIdAndUpdate(
+    req.user.id,
+    { $set: update },
+    { new: true, select: '-password -passwordChangedAt -sessionsRevokedAt -loginAttempts' }
+  );
+  if (!user) throw new NotFoundError('User not found.');
+  res.json(user);
+}));
+
+// ✅ Export router and middleware
+module.exports = { router, authenticateToken, optionalAuth, requireRole };
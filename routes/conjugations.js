@@ -0,0 +1,366 @@
+// routes/conjugations.js
+// Conjugation tables (CRUD), practice (drills, grading, per-user mastery) and the
+// regular-verb generator.
+const express = require('express');
+const router = express.Router();
+
+const Verb = require('../models/Verb');
+const ConjugationMastery = require('../models/ConjugationMastery');
+const drills = require('../services/conjugationDrills');
+const conjugator = require('../services/conjugator');
+const { authenticateToken, requireRole } = require('./auth');
+const { validateBody, isValidObjectId } = require('../services/validation');
+const schemas = require('../services/requestSchemas');
+const { asyncHandler, BadRequestError, NotFoundError } = require('../services/errors');
+
+// Updates run the schema validators too
+const UPDATE_OPTIONS = { new: true, runValidators: true };
+
+// Validate an optional list against allowed values
+function pickList(input, allowed, name, defaults = allowed) {
+  if (input === undefined || input === null) return defaults;
+  const list = Array.isArray(input) ? input : [input];
+  const invalid = list.filter(v => !allowed.includes(v));
+  if (invalid.length || !list.length) {
+    throw new BadRequestError(`${name} must be a non-empty list of: ${allowed.join(', ')}`);
+  }
+  return list;
+}
+
+// Weak pairs: due for review, or below the weak-mastery threshold
+const weakFilter = (userId, now = new Date()) => ({
+  userId,
+  $or: [
+    { nextReview: { $lte: now } },
+    { mastery: { $lt: drills.WEAK_MASTERY } }
+  ]
+});
+
+/**
+ * Write graded masteries as one bulkWrite of upserts, so parallel submissions
+ * for the same verb x tense don't collide on the unique index. Counters are
+ * incremented by what this request added; the scheduling fields are set.
+ * @param {Array<{ mastery: Object, loaded: { attempts: number, correct: number, personErrors: Map } }>} entries
+ */
+async function saveMasteries(entries, retried = false) {
+  const ops = entries.map(({ mastery, loaded }) => {
+    const inc = { attempts: mastery.attempts - loaded.attempts, correct: mastery.correct - loaded.correct };
+    for (const [person, count] of mastery.personErrors) {
+      const added = count - (loaded.personErrors.get(person) || 0);
+      if (added) inc[`personErrors.${person}`] = added;
+    }
+    return {
+      updateOne: {
+        filter: { userId: mastery.userId, verbId: mastery.verbId, tense: mastery.tense },
+        update: {
+          $inc: inc,
+          $set: {
+            mastery: mastery.mastery,
+            ease: mastery.ease,
+            interval: mastery.interval,
+            reviewCount: mastery.reviewCount,
+            repetitions: mastery.repetitions,
+            lapses: mastery.lapses,
+            lastReviewed: mastery.lastReviewed,
+            nextReview: mastery.nextReview
+          }
+        },
+        upsert: true
+      }
+    };
+  });
+  if (!ops.length) return;
+
+  try {
+    await ConjugationMastery.bulkWrite(ops);
+  } catch (err) {
+    // Two first submissions raced to insert; the writes stop at the duplicate (ordered), so rerun from there
+    const failed = err.code === 11000 && err.writeErrors && err.writeErrors[0];
+    if (!failed || retried) throw err;
+    await saveMasteries(entries.slice(failed.index), true);
+  }
+}
+
+/**
+ * GET /api/conjugations/generate/:infinitive
+ * Query: variant=br|pt (optional, limits persons)
+ * Preview the generated table for a regular verb. Irregular verbs come back
+ * with irregular: true and no forms.
+ */
+router.get('/generate/:infinitive', authenticateToken, asyncHandler(async (req, res) => {
+  const { variant } = req.query;
+  if (variant && !Verb.PERSON_SETS[variant]) throw new BadRequestError("variant must be 'br' or 'pt'");
+
+  const result = conjugator.conjugate(req.params.infinitive);
+  if (!result.valid) throw new BadRequestError(result.reason);
+
+  if (result.conjugations && variant) {
+    for (const tense of Object.keys(result.conjugations)) {
+      const forms = result.conjugations[tense];
+      result.conjugations[tense] = Verb.PERSON_SETS[variant].reduce((picked, person) => {
+        if (forms[person]) picked[person] = forms[person];
+        return picked;
+      }, {});
+    }
+  }
+
+  const existing = await Verb.findOne({ verb: result.verb }).select('_id');
+  res.json({ ...result, exists: Boolean(existing) });
+}));
+
+/**
+ * POST /api/conjugations/drills
+ * Body: {
+ *   verbs?: string[] (ids or infinitives), tenses?: string[], persons?: string[],
+ *   type?: 'regular'|'irregular', count?: number, mode?: 'new'|'review',
+ *   variant?: 'br'|'pt' (default persons when none are given; 'pt' adds tu and vós)
+ * }
+ * mode 'review' draws from the user's weak verb x tense pairs instead of the filters.
+ * Items carry no answers; grade them with POST /api/conjugations/drills/answers.
+ */
+router.post('/drills', authenticateToken, asyncHandler(async (req, res) => {
+  const { verbs, type, mode = 'new' } = req.body;
+  const count = Math.min(drills.MAX_DRILL_ITEMS, Math.max(1, parseInt(req.body.count) || 10));
+
+  const tenses = pickList(req.body.tenses, drills.TENSES, 'tenses');
+  const { variant = 'br' } = req.body;
+  if (!Verb.PERSON_SETS[variant]) throw new BadRequestError("variant must be 'br' or 'pt'");
+  const persons = pickList(req.body.persons, drills.PERSONS, 'persons', Verb.PERSON_SETS[variant]);
+
+  if (mode === 'review') {
+    const filter = weakFilter(req.user.id);
+    filter.tense = { $in: tenses };
+    const masteries = await ConjugationMastery.find(filter)
+      .sort({ nextReview: 1, mastery: 1 })
+      .limit(drills.MAX_DRILL_ITEMS)
+      .populate('verbId');
+    const items = drills.buildReviewDrill(masteries, { persons, count });
+    return res.json({ mode, count: items.length, items });
+  }
+
+  if (mode !== 'new') throw new BadRequestError("mode must be 'new' or 'review'");
+
+  const filter = {};
+  if (type) {
+    if (!['regular', 'irregular'].includes(type)) {
+      throw new BadRequestError("type must be 'regular' or 'irregular'");
+    }
+    filter.type = type;
+  }
+  if (verbs !== undefined) {
+    const list = (Array.isArray(verbs) ? verbs : [verbs]).map(String);
+    const ids = list.filter(isValidObjectId);
+    const names = list.filter(v => !isValidObjectId(v)).map(v => v.trim().toLowerCase());
+    filter.$or = [{ _id: { $in: ids } }, { verb: { $in: names } }];
+  }
+
+  const verbDocs = await Verb.find(filter);
+  if (!verbDocs.length) throw new NotFoundError('No verbs match the drill filters');
+
+  const items = drills.buildDrill(verbDocs, { tenses, persons, count });
+  res.json({ mode, count: items.length, items });
+}));
+
+/**
+ * POST /api/conjugations/drills/answers
+ * Body: { answers: [{ verbId, tense, person, answer }], strict?: boolean }
+ * Accents are ignored unless strict is true. Updates the user's mastery per verb x tense.
+ */
+router.post('/drills/answers', authenticateToken, asyncHandler(async (req, res) => {
+  const { answers, strict = false } = req.body;
+  if (!Array.isArray(answers) || !answers.length) {
+    throw new BadRequestError('answers must be a non-empty array');
+  }
+  if (answers.length > drills.MAX_DRILL_ITEMS) {
+    throw new BadRequestError(`At most ${drills.MAX_DRILL_ITEMS} answers per request`);
+  }
+
+  for (const [idx, item] of answers.entries()) {
+    if (!item || !isValidObjectId(String(item.verbId)) ||
+        !drills.TENSES.includes(item.tense) || !drills.PERSONS.includes(item.person)) {
+      throw new BadRequestError(`answers[${idx}] needs a valid verbId, tense and person`);
+    }
+  }
+
+  const verbIds = [...new Set(answers.map(a => String(a.verbId)))];
+  const verbDocs = await Verb.find({ _id: { $in: verbIds } });
+  const verbsById = new Map(verbDocs.map(v => [String(v._id), v]));
+
+  const userId = req.user.id;
+  // Grading works on documents; counters are remembered as loaded so only this request's increments are written
+  const masteryCache = new Map();
+  const getMastery = async (verbId, tense) => {
+    const key = `${verbId}:${tense}`;
+    if (!masteryCache.has(key)) {
+      const mastery = await ConjugationMastery.findOne({ userId, verbId, tense })
+        || new ConjugationMastery({ userId, verbId, tense });
+      masteryCache.set(key, {
+        mastery,
+        loaded: { attempts: mastery.attempts, correct: mastery.correct, personErrors: new Map(mastery.personErrors) }
+      });
+    }
+    return masteryCache.get(key).mastery;
+  };
+
+  const results = [];
+  for (const item of answers) {
+    const verb = verbsById.get(String(item.verbId));
+    const expected = verb ? drills.getForm(verb, item.tense, item.person) : null;
+    if (!expected) {
+      results.push({ ...item, error: 'Form not found' });
+      continue;
+    }
+
+    const check = drills.checkAnswer(expected, item.answer, { strict: Boolean(strict) });
+    const mastery = await getMastery(verb._id, item.tense);
+    drills.applyResult(mastery, item.person, check);
+
+    results.push({
+      verbId: verb._id,
+      verb: verb.verb,
+      tense: item.tense,
+      person: item.person,
+      answer: item.answer,
+      expected,
+      correct: check.correct,
+      accentOnly: check.accentOnly,
+      mastery: mastery.mastery,
+      nextReview: mastery.nextReview
+    });
+  }
+
+  await saveMasteries(Array.from(masteryCache.values()));
+
+  const graded = results.filter(r => !r.error);
+  res.json({
+    strict: Boolean(strict),
+    correct: graded.filter(r => r.correct).length,
+    total: graded.length,
+    results
+  });
+}));
+
+/**
+ * GET /api/conjugations/mastery
+ * Query: verbId (optional)
+ * The user's mastery per verb x tense.
+ */
+router.get('/mastery', authenticateToken, asyncHandler(async (req, res) => {
+  const filter = { userId: req.user.id };
+  if (req.query.verbId) {
+    if (!isValidObjectId(req.query.verbId)) throw new BadRequestError('Invalid verbId');
+    filter.verbId = req.query.verbId;
+  }
+
+  const masteries = await ConjugationMastery.find(filter)
+    .populate('verbId', 'verb english type')
+    .sort({ mastery: 1 });
+
+  res.json(masteries
+    .filter(m => m.verbId)
+    .map(m => ({
+      verbId: m.verbId._id,
+      verb: m.verbId.verb,
+      english: m.verbId.english,
+      tense: m.tense,
+      tenseLabel: drills.TENSE_LABELS[m.tense],
+      attempts: m.attempts,
+      correct: m.correct,
+      accuracy: m.attempts ? m.correct / m.attempts : null,
+      mastery: m.mastery,
+      personErrors: Object.fromEntries(m.personErrors || []),
+      nextReview: m.nextReview
+    })));
+}));
+
+/**
+ * GET /api/conjugations/review-queue
+ * Weak verb x tense pairs (due now or low mastery), most urgent first.
+ */
+router.get('/review-queue', authenticateToken, asyncHandler(async (req, res) => {
+  const limit = Math.min(100, Math.max(1, parseInt(req.query.limit) || 20));
+  const masteries = await ConjugationMastery.find(weakFilter(req.user.id))
+    .populate('verbId', 'verb english type')
+    .sort({ nextReview: 1, mastery: 1 })
+    .limit(limit);
+
+  res.json(masteries
+    .filter(m => m.verbId)
+    .map(m => ({
+      verbId: m.verbId._id,
+      verb: m.verbId.verb,
+      tense: m.tense,
+      tenseLabel: drills.TENSE_LABELS[m.tense],
+      mastery: m.mastery,
+      nextReview: m.nextReview
+    })));
+}));
+
+// -----------------------
+// CRUD
+// -----------------------
+// GET /api/conjugations?variant=br|pt - optionally limit persons to one variant
+router.get('/', asyncHandler(async (req, res) => {
+  const { variant } = req.query;
+  if (variant && !Verb.PERSON_SETS[variant]) throw new BadRequestError("variant must be 'br' or 'pt'");
+  const conjugations = await Verb.find().sort({ verb: 1 });
+  res.json(conjugations.map(verb => verb.toVariant(variant)));
+}));
+
+// POST /api/conjugations
+// Missing forms of regular verbs are generated (send autoFill: false to disable).
+// Irregular verbs are saved as given and flagged, with the forms still to enter.
+router.post('/', authenticateToken, requireRole('admin'), validateBody(schemas.verbCreate), asyncHandler(async (req, res) => {
+  const { autoFill = true, ...fields } = req.body;
+  const generated = autoFill !== false ? conjugator.conjugate(fields.verb) : null;
+
+  let filled = [];
+  if (generated && generated.conjugations) {
+    const merged = conjugator.fillMissing(fields.conjugations, generated.conjugations);
+    fields.conjugations = merged.conjugations;
+    filled = merged.filled;
+    if (!fields.type) fields.type = generated.type;
+  } else if (generated && generated.irregular) {
+    fields.type = 'irregular';
+  }
+
+  const conjugation = new Verb(fields);
+  await conjugation.save();
+
+  const irregular = Boolean(generated && generated.irregular);
+  res.status(201).json({
+    ...conjugation.toObject(),
+    autoFill: {
+      enabled: autoFill !== false,
+      pattern: generated ? generated.pattern : null,
+      filled,
+      irregular,
+      // Forms an editor still has to type in (Brazilian persons)
+      missing: conjugator.listMissing(conjugation.toObject().conjugations, Verb.PERSON_SETS.br)
+    }
+  });
+}));
+
+// PUT /api/conjugations/:id
+// Forms sent under `conjugations` are merged into the stored tables.
+router.put('/:id', authenticateToken, requireRole('admin'), validateBody(schemas.verb, { partial: true }), asyncHandler(async (req, res) => {
+  const { conjugations, ...fields } = req.body;
+  const update = { ...fields, updatedAt: new Date() };
+  for (const [tense, forms] of Object.entries(conjugations || {})) {
+    for (const [person, form] of Object.entries(forms)) {
+      update[`conjugations.${tense}.${person}`] = form;
+    }
+  }
+
+  const conjugation = await Verb.findByIdAndUpdate(req.params.id, { $set: update }, UPDATE_OPTIONS);
+  if (!conjugation) throw new NotFoundError('Conjugation not found');
+  res.json(conjugation);
+}));
+
+router.delete('/:id', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const conjugation = await Verb.findByIdAndDelete(req.params.id);
+  if (!conjugation) throw new NotFoundError('Conjugation not found');
+  res.json({ message: 'Conjugation deleted' });
+}));
+
+module.exports = router;
@@ -1,233 +1,235 @@
 // routes/flashcards.js
 const express = require('express');
-const mongoose = require('mongoose');
 const router = express.Router();
 
 const Word = require('../models/Word');
 const User = require('../models/User');
+const PersonalCard = require('../models/PersonalCard');
+const scheduler = require('../services/scheduler');
+const learningPath = require('../services/learningPath');
 
 // Use authenticateToken exported from routes/auth.js
 const { authenticateToken } = require('./auth');
+const { isValidObjectId } = require('../services/validation');
+const { asyncHandler, BadRequestError, NotFoundError } = require('../services/errors');
 
-// Helper to validate ObjectId
-const isValidObjectId = (id) => {
-  try {
-    return mongoose.Types.ObjectId.isValid(id) && String(new mongoose.Types.ObjectId(id)) === id;
-  } catch (e) {
-    return false;
-  }
+// Personal cards (tap-to-learn, see routes/stories.js). Cards linked to a Word
+// decorate that word; unlinked cards join the deck and are reviewed by card id.
+const loadPersonalCards = async (userId) => {
+  const cards = await PersonalCard.find({ userId }).sort({ createdAt: 1 }).lean();
+  return {
+    byWord: new Map(cards.filter(card => card.wordId).map(card => [String(card.wordId), card])),
+    unlinked: cards.filter(card => !card.wordId)
+  };
 };
 
+const personalInfo = (card) => ({
+  cardId: card._id,
+  lemma: card.lemma,
+  context: card.context,
+  storyId: card.storyId,
+  paragraph: card.paragraph
+});
+
+// Words as plain objects plus unlinked personal cards in the same shape
+const buildDeck = (words, { byWord, unlinked }) => [
+  ...words.map(w => {
+    const card = byWord.get(String(w._id));
+    return card ? { ...w.toObject(), personal: personalInfo(card) } : w.toObject();
+  }),
+  ...unlinked.map(card => ({
+    _id: card._id,
+    portuguese: card.portuguese,
+    english: card.english,
+    personal: personalInfo(card)
+  }))
+];
+
 /**
- * Helpers to read/set progress in a backwards-compatible way.
- *
- * We support:
- *  - Newer shape: user.progress.words is a map/object keyed by wordId:
- *      user.progress.words[wordId] = { ease, interval, reviewCount, lastReviewed, nextReview }
- *  - Older shape: user.progress.words.mastered (array of ids), user.progress.words.needsReview (array)
- *    and/or user.progress.wordsHistory: [{ wordId, ease, interval, reviewCount, lastReviewed }]
- *
- * When writing, we update the map (preferred) and also push/update wordsHistory and mastered/needsReview arrays
- * so any UI depending on old fields continues to work.
+ * GET /api/flashcards
+ * Returns all words merged with the logged-in user's progress, plus their
+ * personal cards from stories (marked with `personal`).
  */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
 
-function getProgressEntry(user, wordId) {
-  if (!user.progress) return null;
+  const user = await User.findById(userId).lean(); // lean for read-only
+  if (!user) throw new NotFoundError('User not found');
 
-  // Ensure container shapes exist
-  if (!user.progress.words) user.progress.words = {}; // preferred map
-  if (!user.progress.wordsHistory) user.progress.wordsHistory = [];
-  if (!user.progress.words.mastered) {
-    // If words was an array in old shape (rare), keep that safe; ensure structure
-    if (!Array.isArray(user.progress.words.mastered)) user.progress.words.mastered = [];
-  }
-  if (!user.progress.words.needsReview) {
-    if (!Array.isArray(user.progress.words.needsReview)) user.progress.words.needsReview = [];
-  }
+  // Fetch words. You can add query filters later (due items only, groups, pagination).
+  const words = await Word.find().sort({ portuguese: 1 });
+  const deck = buildDeck(words, await loadPersonalCards(userId));
 
-  // Prefer map entry if present
-  const mapEntry = user.progress.words[wordId];
-  if (mapEntry) return mapEntry;
+  // Merge per-word progress in a stable manner
+  const wordsWithProgress = deck.map((w) => {
+    const progress = scheduler.getProgress(user, w._id);
 
-  // Fallback to history entry
-  const historyEntry = (user.progress.wordsHistory || []).find(e => String(e.wordId) === String(wordId));
-  if (historyEntry) {
-    // Normalize keys
     return {
-      ease: typeof historyEntry.ease === 'number' ? historyEntry.ease : 2.5,
-      interval: typeof historyEntry.interval === 'number' ? historyEntry.interval : 0,
-      reviewCount: historyEntry.reviewCount || 0,
-      lastReviewed: historyEntry.lastReviewed,
-      nextReview: historyEntry.nextReview
+      ...w,
+      // Ensure client-friendly keys exist
+      ...scheduler.toClientProgress(progress)
     };
-  }
+  });
 
-  // If neither exists, return default
-  return {
-    ease: 2.5,
-    interval: 0,
-    reviewCount: 0,
-    lastReviewed: null,
-    nextReview: null
-  };
-}
-
-function setProgressEntry(user, wordId, entry) {
-  if (!user.progress) user.progress = {};
-  if (!user.progress.words) user.progress.words = {};
-  if (!user.progress.wordsHistory) user.progress.wordsHistory = [];
-  if (!Array.isArray(user.progress.words.mastered)) user.progress.words.mastered = [];
-  if (!Array.isArray(user.progress.words.needsReview)) user.progress.words.needsReview = [];
-
-  // Write preferred map entry
-  user.progress.words[wordId] = {
-    ease: entry.ease,
-    interval: entry.interval,
-    reviewCount: entry.reviewCount,
-    lastReviewed: entry.lastReviewed,
-    nextReview: entry.nextReview
-  };
-
-  // Maintain a history array entry (upsert)
-  const idx = user.progress.wordsHistory.findIndex(e => String(e.wordId) === String(wordId));
-  const historyObj = {
-    wordId,
-    ease: entry.ease,
-    interval: entry.interval,
-    reviewCount: entry.reviewCount,
-    lastReviewed: entry.lastReviewed,
-    nextReview: entry.nextReview
-  };
-  if (idx === -1) user.progress.wordsHistory.push(historyObj);
-  else user.progress.wordsHistory[idx] = historyObj;
-
-  // Update mastered / needsReview arrays for backwards compat:
-  // simple heuristic:
-  // - mastered if interval >= 7 and ease > 2.6
-  // - needsReview if ease < 2.0 or interval < 7
-  const masteredIdx = user.progress.words.mastered.findIndex(id => String(id) === String(wordId));
-  const needsIdx = user.progress.words.needsReview.findIndex(id => String(id) === String(wordId));
-  const isMastered = entry.interval >= 7 && entry.ease > 2.6;
-  const isNeeds = entry.ease < 2.0 || entry.interval < 7;
-
-  // Add/remove from arrays based on above
-  if (isMastered) {
-    if (masteredIdx === -1) user.progress.words.mastered.push(wordId);
-    if (needsIdx !== -1) user.progress.words.needsReview.splice(needsIdx, 1);
-  } else if (isNeeds) {
-    if (needsIdx === -1) user.progress.words.needsReview.push(wordId);
-    if (masteredIdx !== -1) user.progress.words.mastered.splice(masteredIdx, 1);
-  } else {
-    // neither; remove from both if present
-    if (masteredIdx !== -1) user.progress.words.mastered.splice(masteredIdx, 1);
-    if (needsIdx !== -1) user.progress.words.needsReview.splice(needsIdx, 1);
-  }
-}
+  res.json(wordsWithProgress);
+}));
 
 /**
- * GET /api/flashcards
- * Returns all words merged with the logged-in user's progress.
+ * GET /api/flashcards/due
+ * Query: newLimit, reviewLimit (optional overrides of the user's daily limits)
+ * Returns only the cards due now: overdue reviews first, then new cards,
+ * capped by what is left of today's review and new-card allowance.
  */
-router.get('/', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    if (!isValidObjectId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
-
-    const user = await User.findById(userId).lean(); // lean for read-only
-    if (!user) return res.status(404).json({ error: 'User not found' });
-
-    // Fetch words. You can add query filters later (due items only, groups, pagination).
-    const words = await Word.find().sort({ portuguese: 1 });
-
-    // Merge per-word progress in a stable manner
-    const wordsWithProgress = words.map((w) => {
-      const wordId = String(w._id);
-      const progress = getProgressEntry(user, wordId) || {};
-
-      return {
-        ...w.toObject(),
-        // Ensure client-friendly keys exist
-        ease: typeof progress.ease === 'number' ? progress.ease : 2.5,
-        interval: typeof progress.interval === 'number' ? progress.interval : 0,
-        reviewCount: progress.reviewCount || 0,
-        lastReviewed: progress.lastReviewed || null,
-        nextReview: progress.nextReview || null
-      };
-    });
-
-    res.json(wordsWithProgress);
-  } catch (err) {
-    console.error('Error fetching user flashcards:', err);
-    res.status(500).json({ error: 'Server error fetching user flashcards', details: err.message });
-  }
-});
+router.get('/due', authenticateToken, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+
+  const user = await User.findById(userId).lean();
+  if (!user) throw new NotFoundError('User not found');
+
+  const parseLimit = (value) => {
+    if (value === undefined) return undefined;
+    const parsed = parseInt(value);
+    return Number.isNaN(parsed) ? undefined : Math.max(0, parsed);
+  };
+
+  const words = await Word.find().sort({ portuguese: 1 });
+  const deck = buildDeck(words, await loadPersonalCards(userId));
+  const queue = scheduler.buildDueQueue(user, deck, {
+    newLimit: parseLimit(req.query.newLimit),
+    reviewLimit: parseLimit(req.query.reviewLimit)
+  });
+
+  const toCard = ({ word, progress }, isNew) => ({
+    ...word,
+    ...scheduler.toClientProgress(progress),
+    isNew
+  });
+
+  res.json({
+    cards: [
+      ...queue.reviews.map(item => toCard(item, false)),
+      ...queue.newCards.map(item => toCard(item, true))
+    ],
+    counts: queue.counts,
+    limits: queue.limits
+  });
+}));
 
 /**
  * POST /api/flashcards/review
- * Body: { wordId: string, difficulty: 'easy'|'medium'|'hard' }
- * Saves user-specific review/progress for that word. Updates map + history + arrays for backward compat.
+ * Body: { wordId: string, grade: 0-5, responseTimeMs?: number }
+ *   (or legacy { difficulty: 'easy'|'medium'|'hard' } instead of grade)
+ * wordId may also be the id of one of the user's unlinked personal cards.
+ * Schedules the next review server-side and saves it to the user's progress.
+ * learningPath reports any stages the review completed ({ completed, currentStage }).
  */
-router.post('/review', authenticateToken, async (req, res) => {
-  try {
-    const userId = req.user.id;
-    const { wordId, difficulty } = req.body;
+router.post('/review', authenticateToken, asyncHandler(async (req, res) => {
+  const userId = req.user.id;
+  const { wordId } = req.body;
+  const grade = scheduler.parseGrade(req.body);
 
-    if (!wordId || !difficulty) {
-      return res.status(400).json({ error: 'wordId and difficulty are required' });
-    }
-    if (!isValidObjectId(userId) || !isValidObjectId(wordId)) {
-      return res.status(400).json({ error: 'Invalid userId or wordId' });
-    }
+  if (!wordId || grade === null) {
+    throw new BadRequestError('wordId and a grade (0-5) or difficulty are required');
+  }
+  if (!isValidObjectId(wordId)) throw new BadRequestError('Invalid wordId');
 
-    const user = await User.findById(userId);
-    if (!user) return res.status(404).json({ error: 'User not found' });
+  const user = await User.findById(userId);
+  if (!user) throw new NotFoundError('User not found');
 
-    const word = await Word.findById(wordId);
-    if (!word) return res.status(404).json({ error: 'Word not found' });
+  const word = await Word.exists({ _id: wordId })
+    || await PersonalCard.exists({ _id: wordId, userId, wordId: null });
+  if (!word) throw new NotFoundError('Word not found');
 
-    // Read previous progress (normalize)
-    const prev = getProgressEntry(user, wordId) || { ease: 2.5, interval: 0, reviewCount: 0 };
+  const { progress } = await scheduler.recordReview(user, wordId, grade, {
+    responseTimeMs: scheduler.parseResponseTime(req.body.responseTimeMs)
+  });
+  const path = await learningPath.advanceAfterActivity(user);
 
-    let ease = typeof prev.ease === 'number' ? prev.ease : 2.5;
-    let interval = typeof prev.interval === 'number' ? prev.interval : 0;
+  return res.json({
+    message: 'Review saved',
+    wordId,
+    grade,
+    progress: scheduler.toClientProgress(progress),
+    learningPath: path
+  });
+}));
 
-    if (difficulty === 'easy') {
-      interval = Math.max(1, (interval || 1) * ease);
-      ease = Math.min(3.0, ease + 0.15);
-    } else if (difficulty === 'medium') {
-      interval = Math.max(0.5, (interval || 1) * 0.8);
-      ease = Math.max(1.3, ease - 0.15);
-    } else {
-      // hard
-      interval = 0.1;
-      ease = 1.8;
-    }
+/**
+ * GET /api/flashcards/personal
+ * The user's personal cards with their sentence context, story and progress.
+ * Linked cards report the progress of their word.
+ */
+router.get('/personal', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('progress').lean();
+  if (!user) throw new NotFoundError('User not found');
+
+  const cards = await PersonalCard.find({ userId: user._id })
+    .sort({ createdAt: -1 })
+    .populate('storyId', 'title')
+    .lean();
+
+  res.json(cards.map(card => ({
+    ...card,
+    story: card.storyId ? { _id: card.storyId._id, title: card.storyId.title } : null,
+    storyId: card.storyId ? card.storyId._id : null,
+    ...scheduler.toClientProgress(scheduler.getProgress(user, card.wordId || card._id))
+  })));
+}));
 
-    const now = new Date();
-    const nextReview = new Date(now.getTime() + interval * 24 * 60 * 60 * 1000);
+/**
+ * DELETE /api/flashcards/personal/:id
+ * Remove a personal card. An unlinked card's review progress goes with it;
+ * a linked word stays in the deck.
+ */
+router.delete('/personal/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const { id } = req.params;
 
-    const updated = {
-      ease,
-      interval,
-      reviewCount: (prev.reviewCount || 0) + 1,
-      lastReviewed: now.toISOString(),
-      nextReview: nextReview.toISOString()
-    };
+  const card = await PersonalCard.findOneAndDelete({ _id: id, userId: req.user.id });
+  if (!card) throw new NotFoundError('Personal card not found');
 
-    // Persist using helper (updates map, history & mastered/needs arrays)
-    setProgressEntry(user, wordId, updated);
+  if (!card.wordId) {
+    await User.updateOne({ _id: req.user.id }, { $unset: { [`progress.words.map.${id}`]: '' } });
+  }
+  res.json({ message: 'Personal card deleted' });
+}));
+
+/**
+ * GET /api/flashcards/settings
+ * Returns the user's scheduler settings (algorithm and daily limits).
+ */
+router.get('/settings', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('settings').lean();
+  if (!user) throw new NotFoundError('User not found');
+  res.json(scheduler.getSettings(user));
+}));
 
-    await user.save();
+/**
+ * PUT /api/flashcards/settings
+ * Body: { algorithm?: 'sm2'|'fsrs', newCardsPerDay?: number, reviewsPerDay?: number }
+ */
+router.put('/settings', authenticateToken, asyncHandler(async (req, res) => {
+  const { algorithm, newCardsPerDay, reviewsPerDay } = req.body;
+  const update = {};
 
-    return res.json({
-      message: 'Review saved',
-      wordId,
-      progress: updated
-    });
-  } catch (err) {
-    console.error('Error saving review:', err);
-    res.status(500).json({ error: 'Error saving flashcard review', details: err.message });
+  if (algorithm !== undefined) {
+    if (!scheduler.ALGORITHMS.includes(algorithm)) {
+      throw new BadRequestError(`algorithm must be one of: ${scheduler.ALGORITHMS.join(', ')}`);
+    }
+    update['settings.srs.algorithm'] = algorithm;
   }
-});
+  for (const [key, value] of Object.entries({ newCardsPerDay, reviewsPerDay })) {
+    if (value === undefined) continue;
+    if (!Number.isInteger(value) || value < 0) {
+      throw new BadRequestError(`${key} must be a non-negative integer`);
+    }
+    update[`settings.srs.${key}`] = value;
+  }
+
+  const user = await User.findByIdAndUpdate(req.user.id, { $set: update }, { new: true, runValidators: true })
+    .select('settings')
+    .lean();
+  if (!user) throw new NotFoundError('User not found');
+  res.json(scheduler.getSettings(user));
+}));
 
 module.exports = router;
@@ -0,0 +1,319 @@
+// routes/grammar.js
+// Grammar lessons: CRUD, exercises without answers, server-side grading,
+// per-user completion (models/GrammarProgress.js), prerequisites and the
+// lesson's related vocabulary.
+const express = require('express');
+const router = express.Router();
+
+const GrammarLesson = require('../models/GrammarLesson');
+const GrammarProgress = require('../models/GrammarProgress');
+const Word = require('../models/Word');
+const User = require('../models/User');
+const exercises = require('../services/grammarExercises');
+const scheduler = require('../services/scheduler');
+const learningPath = require('../services/learningPath');
+const { authenticateToken, requireRole } = require('./auth');
+const { validateBody } = require('../services/validation');
+const schemas = require('../services/requestSchemas');
+const { asyncHandler, NotFoundError, ValidationError } = require('../services/errors');
+
+// Updates run the schema validators too
+const UPDATE_OPTIONS = { new: true, runValidators: true };
+
+// Lessons are read in order within their category
+const LESSON_SORT = { category: 1, order: 1, title: 1 };
+
+// Recommendations go through the lessons in order, whatever their category
+const PATH_SORT = { order: 1, category: 1, title: 1 };
+
+const findLesson = async (id) => {
+  const lesson = await GrammarLesson.findById(id);
+  if (!lesson) throw new NotFoundError('Lesson not found');
+  return lesson;
+};
+
+// Ids (as strings) of the lessons the user has completed
+const completedLessonIds = async (userId) => {
+  const rows = await GrammarProgress.find({ userId, completed: true }).select('lessonId').lean();
+  return new Set(rows.map(row => String(row.lessonId)));
+};
+
+// Prerequisites pointing at deleted lessons are ignored
+const prerequisitesMet = (lesson, completed, existing) =>
+  (lesson.prerequisites || []).every(id => completed.has(String(id)) || !existing.has(String(id)));
+
+/**
+ * Prerequisites must be existing lessons and must not lead back to the lesson
+ * itself, directly or through their own prerequisites.
+ */
+async function checkPrerequisites(ids, lessonId) {
+  if (!ids || !ids.length) return;
+  const fail = (message) => { throw new ValidationError([{ field: 'prerequisites', message }]); };
+
+  const unique = [...new Set(ids.map(String))];
+  if (lessonId && unique.includes(String(lessonId))) fail('A lesson cannot be its own prerequisite');
+  if (await GrammarLesson.countDocuments({ _id: { $in: unique } }) !== unique.length) fail('Prerequisite lesson not found');
+  if (!lessonId) return;
+
+  const seen = new Set(unique);
+  let frontier = unique;
+  while (frontier.length) {
+    const lessons = await GrammarLesson.find({ _id: { $in: frontier } }).select('prerequisites').lean();
+    frontier = [];
+    for (const id of lessons.flatMap(lesson => (lesson.prerequisites || []).map(String))) {
+      if (id === String(lessonId)) fail('Prerequisites cannot form a cycle');
+      if (!seen.has(id)) {
+        seen.add(id);
+        frontier.push(id);
+      }
+    }
+  }
+}
+
+/**
+ * GET /api/grammar
+ * Query: category (optional)
+ * Lessons sorted by category, then order. Exercise answers are stripped.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const filter = {};
+  if (req.query.category) filter.category = req.query.category;
+  const lessons = await GrammarLesson.find(filter).sort(LESSON_SORT);
+  res.json(lessons.map(exercises.toPublicLesson));
+}));
+
+/**
+ * GET /api/grammar/progress
+ * The logged-in user's progress for every lesson they've attempted.
+ */
+router.get('/progress', authenticateToken, asyncHandler(async (req, res) => {
+  const progress = await GrammarProgress.find({ userId: req.user.id })
+    .populate('lessonId', 'title category order difficulty')
+    .sort({ lastAttemptAt: -1 });
+
+  res.json({
+    passScore: exercises.PASS_SCORE,
+    completed: progress.filter(p => p.completed).length,
+    lessons: progress
+      .filter(p => p.lessonId)
+      .map(p => ({
+        lesson: p.lessonId,
+        attempts: p.attempts,
+        lastScore: p.lastScore,
+        bestScore: p.bestScore,
+        completed: p.completed,
+        completedAt: p.completedAt,
+        lastAttemptAt: p.lastAttemptAt
+      }))
+  });
+}));
+
+/**
+ * GET /api/grammar/next
+ * The lesson to study next: the most recently attempted lesson that isn't
+ * completed yet, otherwise the first lesson (by order) whose prerequisites are
+ * all completed. reason is in-progress, next or all-completed.
+ */
+router.get('/next', authenticateToken, asyncHandler(async (req, res) => {
+  const [lessons, progress] = await Promise.all([
+    GrammarLesson.find().sort(PATH_SORT),
+    GrammarProgress.find({ userId: req.user.id }).lean()
+  ]);
+
+  const existing = new Set(lessons.map(lesson => String(lesson._id)));
+  const completed = new Set(progress.filter(p => p.completed).map(p => String(p.lessonId)));
+  const attemptedAt = new Map(progress.filter(p => !p.completed).map(p => [String(p.lessonId), p.lastAttemptAt]));
+
+  const ready = lessons.filter(lesson => !completed.has(String(lesson._id)) && prerequisitesMet(lesson, completed, existing));
+  const inProgress = ready
+    .filter(lesson => attemptedAt.has(String(lesson._id)))
+    .sort((a, b) => new Date(attemptedAt.get(String(b._id))) - new Date(attemptedAt.get(String(a._id))))[0];
+  const lesson = inProgress || ready[0] || null;
+
+  const completedCount = lessons.filter(l => completed.has(String(l._id))).length;
+  res.json({
+    lesson: lesson ? exercises.toPublicLesson(lesson) : null,
+    reason: inProgress ? 'in-progress' : lesson ? 'next' : 'all-completed',
+    completed: completedCount,
+    total: lessons.length
+  });
+}));
+
+// GET /api/grammar/:id - One lesson, exercise answers stripped
+router.get('/:id', asyncHandler(async (req, res) => {
+  const lesson = await findLesson(req.params.id);
+  res.json(exercises.toPublicLesson(lesson));
+}));
+
+// GET /api/grammar/:id/full - Lesson including answers, for editing (admin only)
+router.get('/:id/full', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  res.json(await findLesson(req.params.id));
+}));
+
+/**
+ * GET /api/grammar/:id/study
+ * The lesson (answers stripped) with its related words, each carrying the
+ * user's review progress, its prerequisites marked completed or not, and the
+ * user's progress on the lesson itself.
+ */
+router.get('/:id/study', authenticateToken, asyncHandler(async (req, res) => {
+  const lesson = await GrammarLesson.findById(req.params.id)
+    .populate({ path: 'relatedWords', populate: { path: 'group', select: 'name icon level' } })
+    .populate('prerequisites', 'title category order difficulty');
+  if (!lesson) throw new NotFoundError('Lesson not found');
+
+  const [user, completed, progress] = await Promise.all([
+    User.findById(req.user.id).select('progress.words.map progress.words.queue').lean(),
+    completedLessonIds(req.user.id),
+    GrammarProgress.findOne({ userId: req.user.id, lessonId: lesson._id }).lean()
+  ]);
+  if (!user) throw new NotFoundError('User not found');
+
+  const queued = new Set((user.progress.words.queue || []).map(String));
+  const prerequisites = lesson.prerequisites.filter(Boolean).map(p => ({
+    ...p.toObject(),
+    completed: completed.has(String(p._id))
+  }));
+
+  res.json({
+    ...exercises.toPublicLesson(lesson),
+    relatedWords: lesson.relatedWords.filter(Boolean).map(word => ({
+      ...word.toObject(),
+      ...scheduler.toClientProgress(scheduler.getProgress(user, word._id)),
+      queued: queued.has(String(word._id))
+    })),
+    prerequisites,
+    prerequisitesMet: prerequisites.every(p => p.completed),
+    progress: progress
+      ? {
+        attempts: progress.attempts,
+        lastScore: progress.lastScore,
+        bestScore: progress.bestScore,
+        completed: progress.completed,
+        completedAt: progress.completedAt
+      }
+      : null
+  });
+}));
+
+/**
+ * POST /api/grammar/:id/words/queue
+ * Queue the lesson's related words so flashcards introduce them before other
+ * new cards. Words the user already studies or has queued are skipped.
+ */
+router.post('/:id/words/queue', authenticateToken, asyncHandler(async (req, res) => {
+  const lesson = await findLesson(req.params.id);
+  const user = await User.findById(req.user.id).select('progress.words.map progress.words.queue').lean();
+  if (!user) throw new NotFoundError('User not found');
+
+  // Only words that still exist
+  const words = await Word.find({ _id: { $in: lesson.relatedWords } }).select('_id').lean();
+  const result = await scheduler.queueWords(user, words.map(word => word._id));
+
+  res.json({
+    lessonId: lesson._id,
+    queued: result.queued,
+    alreadyQueued: result.alreadyQueued,
+    alreadyStudying: result.alreadyStudying
+  });
+}));
+
+/**
+ * GET /api/grammar/:id/exercises
+ * The lesson's exercises without answers. Sentence-order exercises carry
+ * shuffled `tokens` to arrange.
+ */
+router.get('/:id/exercises', asyncHandler(async (req, res) => {
+  const lesson = await findLesson(req.params.id);
+  res.json({
+    lessonId: lesson._id,
+    title: lesson.title,
+    exercises: lesson.exercises.map(exercises.toPublicExercise)
+  });
+}));
+
+/**
+ * POST /api/grammar/:id/exercises/:exerciseId/check
+ * Body: { answer } - text, option index, or token array for sentence-order
+ * Grades a single exercise for instant feedback. Nothing is recorded.
+ */
+router.post('/:id/exercises/:exerciseId/check', authenticateToken, asyncHandler(async (req, res) => {
+  const lesson = await findLesson(req.params.id);
+  const exercise = lesson.exercises.id(req.params.exerciseId);
+  if (!exercise) throw new NotFoundError('Exercise not found');
+
+  const { correct, expected } = exercises.gradeExercise(exercise, req.body.answer);
+  res.json({
+    exerciseId: exercise._id,
+    correct,
+    correctAnswer: expected,
+    explanation: exercise.explanation || ''
+  });
+}));
+
+/**
+ * POST /api/grammar/:id/attempts
+ * Body: { answers: answer[] (exercise order) | { exerciseId, answer }[] }
+ * Grades the whole lesson and records it. The lesson counts as completed once
+ * an attempt scores at least passScore. Like test attempts, the response
+ * carries the learning path after advancing it; grammar lessons themselves
+ * aren't stage criteria (see services/learningPath.js).
+ */
+router.post('/:id/attempts', authenticateToken, asyncHandler(async (req, res) => {
+  const { answers } = req.body;
+  if (!Array.isArray(answers)) {
+    throw new ValidationError([{ field: 'answers', message: 'answers must be an array' }]);
+  }
+
+  const lesson = await findLesson(req.params.id);
+  if (!lesson.exercises.length) {
+    throw new ValidationError([{ field: 'answers', message: 'This lesson has no exercises' }]);
+  }
+
+  const { results, correctCount, exerciseCount, score } = exercises.gradeLesson(lesson, answers);
+
+  const { progress, newlyCompleted } = await GrammarProgress.record(req.user.id, lesson._id, score, exercises.PASS_SCORE);
+
+  const user = await User.findById(req.user.id).select('progress').lean();
+  const path = user ? await learningPath.advanceAfterActivity(user) : null;
+
+  res.status(201).json({
+    lessonId: lesson._id,
+    score,
+    correctCount,
+    exerciseCount,
+    passScore: exercises.PASS_SCORE,
+    bestScore: progress.bestScore,
+    completed: progress.completed,
+    newlyCompleted,
+    results,
+    learningPath: path
+  });
+}));
+
+router.post('/', authenticateToken, requireRole('admin'), validateBody(schemas.grammarLesson), asyncHandler(async (req, res) => {
+  await checkPrerequisites(req.body.prerequisites);
+  const lesson = new GrammarLesson(req.body);
+  await lesson.save();
+  res.status(201).json(lesson);
+}));
+
+router.put('/:id', authenticateToken, requireRole('admin'), validateBody(schemas.grammarLesson, { partial: true }), asyncHandler(async (req, res) => {
+  await checkPrerequisites(req.body.prerequisites, req.params.id);
+  req.body.updatedAt = new Date();
+  const lesson = await GrammarLesson.findByIdAndUpdate(req.params.id, { $set: req.body }, UPDATE_OPTIONS);
+  if (!lesson) throw new NotFoundError('Lesson not found');
+  res.json(lesson);
+}));
+
+router.delete('/:id', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const lesson = await GrammarLesson.findByIdAndDelete(req.params.id);
+  if (!lesson) throw new NotFoundError('Lesson not found');
+  await Promise.all([
+    GrammarProgress.deleteMany({ lessonId: lesson._id }),
+    GrammarLesson.updateMany({ prerequisites: lesson._id }, { $pull: { prerequisites: lesson._id } })
+  ]);
+  res.json({ message: 'Lesson deleted' });
+}));
+
+module.exports = router;
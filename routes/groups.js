@@ -0,0 +1,173 @@
+// routes/groups.js
+// Vocabulary groups (models/Group.js): CRUD, ordering, word counts and the
+// logged-in user's mastery per group.
+const express = require('express');
+const router = express.Router();
+
+const Group = require('../models/Group');
+const Word = require('../models/Word');
+const User = require('../models/User');
+const scheduler = require('../services/scheduler');
+const { createsCycle, LEGACY_DEFAULT_GROUP } = require('../services/groups');
+const { authenticateToken, requireRole } = require('./auth');
+const { validateBody } = require('../services/validation');
+const schemas = require('../services/requestSchemas');
+const { asyncHandler, NotFoundError, ValidationError } = require('../services/errors');
+
+// Updates run the schema validators too
+const UPDATE_OPTIONS = { new: true, runValidators: true };
+
+const SORT = { order: 1, name: 1 };
+
+// group id (or 'null' for ungrouped words) -> number of words
+async function wordCounts() {
+  const rows = await Word.aggregate([{ $group: { _id: '$group', count: { $sum: 1 } } }]);
+  return new Map(rows.map(row => [String(row._id), row.count]));
+}
+
+// Check the parent of a new or moved group: it must exist and not be the group itself or one of its descendants
+async function checkParent(parent, groupId) {
+  if (!parent) return;
+  if (!(await Group.exists({ _id: parent }))) {
+    throw new ValidationError([{ field: 'parent', message: 'Parent group not found' }]);
+  }
+  if (groupId && await createsCycle(groupId, parent)) {
+    throw new ValidationError([{ field: 'parent', message: 'A group cannot be moved inside itself' }]);
+  }
+}
+
+/**
+ * GET /api/groups
+ * Group names in display order, led by 'Other' for ungrouped words, as this
+ * endpoint has always returned. With format=full: the groups themselves, each
+ * with its word count.
+ * Query: format=names|full (default names),
+ *        parent=<id>|root (optional, only the children of one group)
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { format = 'names' } = req.query;
+  if (format !== 'names' && format !== 'full') {
+    throw new ValidationError([{ field: 'format', message: 'format must be names or full' }]);
+  }
+
+  const filter = {};
+  if (req.query.parent === 'root') filter.parent = null;
+  else if (req.query.parent) filter.parent = req.query.parent;
+
+  if (format === 'names') {
+    const groups = await Group.find(filter).sort(SORT).select('name').lean();
+    return res.json([LEGACY_DEFAULT_GROUP, ...groups.map(g => g.name).filter(name => name !== LEGACY_DEFAULT_GROUP)]);
+  }
+
+  const [groups, counts] = await Promise.all([Group.find(filter).sort(SORT).lean(), wordCounts()]);
+  res.json(groups.map(group => ({ ...group, wordCount: counts.get(String(group._id)) || 0 })));
+}));
+
+/**
+ * GET /api/groups/progress
+ * The logged-in user's progress per group: card counts by maturity, cards due
+ * now and mastery (share of mature cards). Ungrouped words come last with group: null.
+ */
+router.get('/progress', authenticateToken, asyncHandler(async (req, res) => {
+  const [groups, words, user] = await Promise.all([
+    Group.find().sort(SORT).select('name icon level parent').lean(),
+    Word.find().select('group').lean(),
+    User.findById(req.user.id).select('progress.words.map').lean()
+  ]);
+  if (!user) throw new NotFoundError('User not found');
+
+  const now = Date.now();
+  const rows = new Map();
+  const rowFor = (key) => {
+    if (!rows.has(key)) rows.set(key, { total: 0, new: 0, young: 0, mature: 0, due: 0 });
+    return rows.get(key);
+  };
+
+  for (const word of words) {
+    const row = rowFor(String(word.group || null));
+    const progress = scheduler.getProgress(user, word._id);
+    row.total += 1;
+    row[scheduler.classifyCard(progress)] += 1;
+    if (progress && progress.nextReview && new Date(progress.nextReview).getTime() <= now) row.due += 1;
+  }
+
+  const summarize = (counts) => ({ ...counts, mastery: counts.total ? counts.mature / counts.total : 0 });
+  const empty = { total: 0, new: 0, young: 0, mature: 0, due: 0 };
+
+  const result = groups.map(group => ({ group, ...summarize(rows.get(String(group._id)) || empty) }));
+  if (rows.has('null')) result.push({ group: null, ...summarize(rows.get('null')) });
+  res.json(result);
+}));
+
+/**
+ * PUT /api/groups/order
+ * Body: { ids: [groupId, ...] } - each listed group gets its position as `order`.
+ */
+router.put('/order', authenticateToken, requireRole('admin'), validateBody(schemas.groupOrder), asyncHandler(async (req, res) => {
+  const ids = [...new Set(req.body.ids)];
+  const found = await Group.countDocuments({ _id: { $in: ids } });
+  if (found !== ids.length) throw new NotFoundError('One or more groups were not found');
+
+  await Group.bulkWrite(ids.map((id, order) => ({
+    updateOne: { filter: { _id: id }, update: { $set: { order } } }
+  })));
+
+  const groups = await Group.find({ _id: { $in: ids } }).sort(SORT);
+  res.json(groups);
+}));
+
+/**
+ * GET /api/groups/:id
+ * One group with its word count and direct children.
+ */
+router.get('/:id', asyncHandler(async (req, res) => {
+  const group = await Group.findById(req.params.id).lean();
+  if (!group) throw new NotFoundError('Group not found');
+
+  const [wordCount, children] = await Promise.all([
+    Word.countDocuments({ group: group._id }),
+    Group.find({ parent: group._id }).sort(SORT).lean()
+  ]);
+  res.json({ ...group, wordCount, children });
+}));
+
+router.post('/', authenticateToken, requireRole('admin'), validateBody(schemas.group), asyncHandler(async (req, res) => {
+  await checkParent(req.body.parent);
+
+  // New groups go to the end of their siblings unless an order is given
+  if (req.body.order === undefined) {
+    const last = await Group.findOne({ parent: req.body.parent || null }).sort({ order: -1 }).select('order').lean();
+    req.body.order = last ? last.order + 1 : 0;
+  }
+
+  const group = new Group(req.body);
+  await group.save();
+  res.status(201).json(group);
+}));
+
+// Words keep pointing at the group by id, so a rename needs no word updates
+router.put('/:id', authenticateToken, requireRole('admin'), validateBody(schemas.group, { partial: true }), asyncHandler(async (req, res) => {
+  await checkParent(req.body.parent, req.params.id);
+
+  const group = await Group.findByIdAndUpdate(req.params.id, { $set: req.body }, UPDATE_OPTIONS);
+  if (!group) throw new NotFoundError('Group not found');
+  res.json(group);
+}));
+
+// Words in the group become ungrouped; child groups move up to the deleted group's parent
+router.delete('/:id', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const group = await Group.findByIdAndDelete(req.params.id);
+  if (!group) throw new NotFoundError('Group not found');
+
+  const [words, children] = await Promise.all([
+    Word.updateMany({ group: group._id }, { $set: { group: null } }),
+    Group.updateMany({ parent: group._id }, { $set: { parent: group.parent } })
+  ]);
+  res.json({
+    message: 'Group deleted',
+    wordsUngrouped: words.modifiedCount,
+    groupsMoved: children.modifiedCount
+  });
+}));
+
+module.exports = router;
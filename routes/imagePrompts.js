@@ -0,0 +1,93 @@
+// routes/imagePrompts.js
+// Picture prompts for the image-description exercises.
+const express = require('express');
+const router = express.Router();
+
+const ImagePrompt = require('../models/ImagePrompt');
+const { authenticateToken, requireRole } = require('./auth');
+const { validateBody } = require('../services/validation');
+const schemas = require('../services/requestSchemas');
+const { asyncHandler, NotFoundError, ConflictError } = require('../services/errors');
+
+// Escape user input before putting it in a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// GET /api/image-prompts - Get all active prompts
+router.get('/', asyncHandler(async (req, res) => {
+  const prompts = await ImagePrompt.find({ isActive: true }).select('word imageUrl category').sort({ word: 1 });
+  res.json(prompts);
+}));
+
+// GET /api/image-prompts/random/:count - Get N random prompts
+router.get('/random/:count', asyncHandler(async (req, res) => {
+  const count = parseInt(req.params.count) || 4;
+  const maxCount = 6;
+  const limit = Math.min(count, maxCount);
+
+  // Get total count
+  const total = await ImagePrompt.countDocuments({ isActive: true });
+  if (total === 0) {
+    return res.json([]);
+  }
+
+  // If collection is small, use sample
+  if (total <= 100) {
+    const prompts = await ImagePrompt.aggregate([
+      { $match: { isActive: true } },
+      { $sample: { size: limit } },
+      { $project: { word: 1, imageUrl: 1, category: 1, _id: 0 } }
+    ]);
+    res.json(prompts);
+  } else {
+    // For large collections, use random skip
+    const skip = Math.max(0, Math.floor(Math.random() * (total - limit)));
+    const prompts = await ImagePrompt.find({ isActive: true })
+      .select('word imageUrl category')
+      .skip(skip)
+      .limit(limit);
+    res.json(prompts);
+  }
+}));
+
+// POST /api/image-prompts - Add a new prompt (admin only)
+router.post('/', authenticateToken, requireRole('admin'), validateBody(schemas.imagePrompt), asyncHandler(async (req, res) => {
+  const { word, imageUrl, category = 'Other', difficulty = 1 } = req.body;
+
+  // Check for duplicates
+  const existing = await ImagePrompt.findOne({
+    $or: [
+      { word: new RegExp(`^${escapeRegex(word)}$`, 'i') },
+      { imageUrl }
+    ]
+  });
+
+  if (existing) {
+    throw new ConflictError('Word or image already exists', {
+      details: {
+        word: existing.word,
+        imageUrl: existing.imageUrl
+      }
+    });
+  }
+
+  const prompt = new ImagePrompt({ word, imageUrl, category, difficulty });
+  await prompt.save();
+
+  res.status(201).json({
+    message: 'Image prompt added successfully',
+    prompt: {
+      word: prompt.word,
+      imageUrl: prompt.imageUrl,
+      category: prompt.category
+    }
+  });
+}));
+
+// DELETE /api/image-prompts/:word - Remove a prompt
+router.delete('/:word', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const result = await ImagePrompt.findOneAndDelete({ word: req.params.word });
+  if (!result) throw new NotFoundError('Prompt not found');
+  res.json({ message: 'Prompt deleted successfully' });
+}));
+
+module.exports = router;
@@ -0,0 +1,170 @@
+// routes/journal.js
+const express = require('express');
+const router = express.Router();
+
+const Journal = require('../models/Journal');
+const User = require('../models/User');
+const { authenticateToken } = require('./auth');
+const { asyncHandler, BadRequestError, ForbiddenError, NotFoundError } = require('../services/errors');
+
+// Journal dates are plain calendar days, e.g. "2025-08-31"
+const DATE_REGEX = /^\d{4}-\d{2}-\d{2}$/;
+
+const isValidDate = (date) => {
+  if (typeof date !== 'string' || !DATE_REGEX.test(date)) return false;
+  const parsed = new Date(`${date}T00:00:00Z`);
+  return !Number.isNaN(parsed.getTime()) && parsed.toISOString().slice(0, 10) === date;
+};
+
+const checkDate = (date) => {
+  if (!isValidDate(date)) throw new BadRequestError('Invalid date');
+  return date;
+};
+
+// Only these fields can be written by the client; userId always comes from the token
+const pickEntryFields = (body = {}) => {
+  const fields = {};
+  if (body.wordHistory !== undefined) fields.wordHistory = body.wordHistory;
+  if (body.task1 !== undefined) fields.task1 = body.task1;
+  if (body.task2 !== undefined) fields.task2 = body.task2;
+  if (body.task3 !== undefined) fields.task3 = body.task3;
+  return fields;
+};
+
+// Rejects requests that try to act on behalf of another user
+const rejectForeignUser = (req) => {
+  const { userId } = req.body || {};
+  if (userId && String(userId) !== String(req.user.id)) {
+    throw new ForbiddenError('Cannot access another user\'s journal');
+  }
+};
+
+/**
+ * Create or update a day's entry in one atomic step.
+ * Two requests racing to create the same day can both miss the existing
+ * entry; the loser hits the unique (userId, date) index, and retrying then
+ * matches the winner's entry and updates it.
+ * @returns {Promise<{ value: Object, lastErrorObject: Object }>}
+ */
+async function upsertEntry(userId, date, fields, retried = false) {
+  try {
+    return await Journal.findOneAndUpdate(
+      { userId, date },
+      { $set: fields },
+      { new: true, upsert: true, runValidators: true, includeResultMetadata: true }
+    );
+  } catch (err) {
+    if (err.code === 11000 && !retried) return upsertEntry(userId, date, fields, true);
+    throw err;
+  }
+}
+
+// Writing counts as activity for the user's streak
+async function recordWritingDay(userId) {
+  const user = await User.findById(userId);
+  if (!user) return;
+  user.recordActivity();
+  await user.save();
+}
+
+/**
+ * GET /api/journal
+ * Query: from, to (YYYY-MM-DD, inclusive), page, limit
+ * Lists the logged-in user's entries, newest first.
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const { from, to, page = 1, limit = 20 } = req.query;
+
+  if ((from && !isValidDate(from)) || (to && !isValidDate(to))) {
+    throw new BadRequestError('from and to must be dates in YYYY-MM-DD format');
+  }
+
+  const filter = { userId: String(req.user.id) };
+  if (from || to) {
+    filter.date = {};
+    // ISO day strings sort lexicographically, so string comparison is enough
+    if (from) filter.date.$gte = from;
+    if (to) filter.date.$lte = to;
+  }
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+  const skip = (pageNum - 1) * limitNum;
+
+  const [entries, total] = await Promise.all([
+    Journal.find(filter).sort({ date: -1 }).skip(skip).limit(limitNum),
+    Journal.countDocuments(filter)
+  ]);
+
+  res.json({
+    entries,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+      hasMore: pageNum < Math.ceil(total / limitNum)
+    }
+  });
+}));
+
+/**
+ * POST /api/journal
+ * Body: { date: 'YYYY-MM-DD', wordHistory, task1, task2, task3 }
+ * Creates the entry for that day, or updates it if one already exists.
+ */
+router.post('/', authenticateToken, asyncHandler(async (req, res) => {
+  rejectForeignUser(req);
+
+  const { date } = req.body;
+  if (!isValidDate(date)) throw new BadRequestError('A valid date (YYYY-MM-DD) is required');
+
+  const { value: entry, lastErrorObject } = await upsertEntry(String(req.user.id), date, pickEntryFields(req.body));
+
+  await recordWritingDay(req.user.id);
+
+  res.status(lastErrorObject?.updatedExisting ? 200 : 201).json(entry);
+}));
+
+/**
+ * GET /api/journal/:date
+ * Returns the logged-in user's entry for a single day.
+ */
+router.get('/:date', authenticateToken, asyncHandler(async (req, res) => {
+  const date = checkDate(req.params.date);
+  const entry = await Journal.findOne({ userId: String(req.user.id), date });
+  if (!entry) throw new NotFoundError('Journal entry not found');
+  res.json(entry);
+}));
+
+/**
+ * PUT /api/journal/:date
+ * Updates an existing entry for a single day.
+ */
+router.put('/:date', authenticateToken, asyncHandler(async (req, res) => {
+  rejectForeignUser(req);
+  const date = checkDate(req.params.date);
+
+  const entry = await Journal.findOneAndUpdate(
+    { userId: String(req.user.id), date },
+    { $set: pickEntryFields(req.body) },
+    { new: true, runValidators: true }
+  );
+  if (!entry) throw new NotFoundError('Journal entry not found');
+
+  await recordWritingDay(req.user.id);
+
+  res.json(entry);
+}));
+
+/**
+ * DELETE /api/journal/:date
+ */
+router.delete('/:date', authenticateToken, asyncHandler(async (req, res) => {
+  const date = checkDate(req.params.date);
+  const entry = await Journal.findOneAndDelete({ userId: String(req.user.id), date });
+  if (!entry) throw new NotFoundError('Journal entry not found');
+  res.json({ message: 'Journal entry deleted' });
+}));
+
+module.exports = router;
@@ -0,0 +1,78 @@
+// routes/learningPath.js
+// The learner's path through the stages (models/LearningStage.js) and stage
+// management for admins. Stages advance automatically after reviews and test
+// attempts (services/learningPath.js).
+const express = require('express');
+const router = express.Router();
+
+const LearningStage = require('../models/LearningStage');
+const User = require('../models/User');
+const learningPath = require('../services/learningPath');
+const { authenticateToken, requireRole } = require('./auth');
+const { validateBody } = require('../services/validation');
+const schemas = require('../services/requestSchemas');
+const { asyncHandler, NotFoundError } = require('../services/errors');
+
+// Updates run the schema validators too
+const UPDATE_OPTIONS = { new: true, runValidators: true };
+
+/**
+ * GET /api/learning-path
+ * Every active stage with its content, status (locked, unlocked, completed)
+ * and the user's progress against its criteria.
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('progress').lean();
+  if (!user) throw new NotFoundError('User not found');
+  res.json(await learningPath.getPath(user));
+}));
+
+/**
+ * POST /api/learning-path/check
+ * Re-check the criteria now, e.g. after stages were edited.
+ * Returns { completed: [newly completed keys], currentStage }.
+ */
+router.post('/check', authenticateToken, asyncHandler(async (req, res) => {
+  const user = await User.findById(req.user.id).select('progress').lean();
+  if (!user) throw new NotFoundError('User not found');
+  res.json(await learningPath.advance(user));
+}));
+
+// -----------------------
+// Stage management (admin)
+// -----------------------
+/**
+ * GET /api/learning-path/stages
+ * All stages, inactive ones included.
+ */
+router.get('/stages', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const stages = await LearningStage.find().sort({ order: 1, key: 1 });
+  res.json(stages);
+}));
+
+router.post('/stages', authenticateToken, requireRole('admin'), validateBody(schemas.learningStage), asyncHandler(async (req, res) => {
+  const stage = new LearningStage(req.body);
+  await stage.save();
+  res.status(201).json(stage);
+}));
+
+router.put('/stages/:id', authenticateToken, requireRole('admin'), validateBody(schemas.learningStage, { partial: true }), asyncHandler(async (req, res) => {
+  // Criteria are merged so one threshold can change without resending the other
+  const { criteria, ...fields } = req.body;
+  const update = { ...fields };
+  for (const [name, value] of Object.entries(criteria || {})) {
+    update[`criteria.${name}`] = value;
+  }
+
+  const stage = await LearningStage.findByIdAndUpdate(req.params.id, { $set: update }, UPDATE_OPTIONS);
+  if (!stage) throw new NotFoundError('Stage not found');
+  res.json(stage);
+}));
+
+router.delete('/stages/:id', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const stage = await LearningStage.findByIdAndDelete(req.params.id);
+  if (!stage) throw new NotFoundError('Stage not found');
+  res.json({ message: 'Stage deleted' });
+}));
+
+module.exports = router;
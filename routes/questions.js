@@ -0,0 +1,37 @@
+// routes/questions.js
+const express = require('express');
+const router = express.Router();
+
+const Question = require('../models/Question');
+const { authenticateToken, requireRole } = require('./auth');
+const { validateBody } = require('../services/validation');
+const schemas = require('../services/requestSchemas');
+const { asyncHandler, NotFoundError } = require('../services/errors');
+
+// Updates run the schema validators too
+const UPDATE_OPTIONS = { new: true, runValidators: true };
+
+router.get('/', asyncHandler(async (req, res) => {
+  const questions = await Question.find().sort({ question: 1 });
+  res.json(questions);
+}));
+
+router.post('/', authenticateToken, requireRole('admin'), validateBody(schemas.question), asyncHandler(async (req, res) => {
+  const question = new Question(req.body);
+  await question.save();
+  res.status(201).json(question);
+}));
+
+router.put('/:id', authenticateToken, requireRole('admin'), validateBody(schemas.question, { partial: true }), asyncHandler(async (req, res) => {
+  const question = await Question.findByIdAndUpdate(req.params.id, { $set: req.body }, UPDATE_OPTIONS);
+  if (!question) throw new NotFoundError('Question not found');
+  res.json(question);
+}));
+
+router.delete('/:id', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const question = await Question.findByIdAndDelete(req.params.id);
+  if (!question) throw new NotFoundError('Question not found');
+  res.json({ message: 'Question deleted' });
+}));
+
+module.exports = router;
@@ -0,0 +1,157 @@
+// routes/sentenceBuilder.js
+// Practice sentences generated from stored templates, word-order exercises,
+// and template management.
+const express = require('express');
+const router = express.Router();
+
+const SentenceTemplate = require('../models/SentenceTemplate');
+const Verb = require('../models/Verb');
+const builder = require('../services/sentenceBuilder');
+const { findGroup } = require('../services/groups');
+const { configOf } = require('../services/config');
+const { authenticateToken, requireRole } = require('./auth');
+const { validateBody, isValidObjectId } = require('../services/validation');
+const schemas = require('../services/requestSchemas');
+const { asyncHandler, BadRequestError, ConflictError, NotFoundError } = require('../services/errors');
+
+// Template by id or key
+const findTemplate = (ref) => SentenceTemplate.findOne(isValidObjectId(String(ref)) ? { _id: ref } : { key: String(ref) });
+
+/**
+ * Shared options for /generate and /word-order.
+ * Body: { template?: id|key, difficulty?: 1-3, count?, tense?, variant?: 'br'|'pt', group?: id|name }
+ * @returns {Promise<{ templates, options }>}
+ */
+async function resolveRequest(body) {
+  const { template, difficulty, tense = 'present', variant = 'br', group } = body;
+  if (!builder.SENTENCE_TENSES.includes(tense)) {
+    throw new BadRequestError(`tense must be one of: ${builder.SENTENCE_TENSES.join(', ')}`);
+  }
+  if (!Verb.PERSON_SETS[variant]) throw new BadRequestError("variant must be 'br' or 'pt'");
+
+  await builder.ensureDefaultTemplates();
+
+  let templates;
+  if (template !== undefined) {
+    const found = await findTemplate(template);
+    if (!found) throw new NotFoundError('Template not found');
+    templates = [found];
+  } else {
+    const filter = { isActive: true };
+    if (difficulty !== undefined) {
+      const level = parseInt(difficulty);
+      if (![1, 2, 3].includes(level)) throw new BadRequestError('difficulty must be 1, 2 or 3');
+      filter.difficulty = level;
+    }
+    templates = await SentenceTemplate.find(filter);
+    if (!templates.length) throw new NotFoundError('No templates match the filters');
+  }
+
+  // Vocabulary can be limited to one group
+  let groupId;
+  if (group !== undefined && group !== null && group !== '') {
+    const found = await findGroup(String(group));
+    if (!found) throw new NotFoundError('Group not found');
+    groupId = found._id;
+  }
+
+  const count = Math.min(builder.MAX_SENTENCES, Math.max(1, parseInt(body.count) || 5));
+  return { templates, options: { count, tense, variant, group: groupId } };
+}
+
+/**
+ * GET /api/sentence-builder/templates
+ * Query: difficulty (optional), all=true (admins: include inactive)
+ */
+router.get('/templates', authenticateToken, asyncHandler(async (req, res) => {
+  await builder.ensureDefaultTemplates();
+  const filter = {};
+  if (!(req.query.all === 'true' && req.user.role === 'admin')) filter.isActive = true;
+  if (req.query.difficulty) filter.difficulty = parseInt(req.query.difficulty);
+
+  const templates = await SentenceTemplate.find(filter).sort({ difficulty: 1, key: 1 });
+  res.json(templates);
+}));
+
+/**
+ * POST /api/sentence-builder/templates (admin)
+ * Body: { key, structure: slot[], difficulty?, description?, examples?, isActive? }
+ */
+router.post('/templates', authenticateToken, requireRole('admin'), validateBody(schemas.sentenceTemplate), asyncHandler(async (req, res) => {
+  const fields = req.body;
+  if (await SentenceTemplate.exists({ key: fields.key })) {
+    throw new ConflictError('Template key already exists');
+  }
+
+  const template = new SentenceTemplate(fields);
+  await template.save();
+  res.status(201).json(template);
+}));
+
+/**
+ * PUT /api/sentence-builder/templates/:id (admin)
+ */
+router.put('/templates/:id', authenticateToken, requireRole('admin'), validateBody(schemas.sentenceTemplate, { partial: true }), asyncHandler(async (req, res) => {
+  const fields = req.body;
+  if (fields.key && await SentenceTemplate.exists({ key: fields.key, _id: { $ne: req.params.id } })) {
+    throw new ConflictError('Template key already exists');
+  }
+
+  const template = await SentenceTemplate.findByIdAndUpdate(req.params.id, { $set: fields }, { new: true, runValidators: true });
+  if (!template) throw new NotFoundError('Template not found');
+  res.json(template);
+}));
+
+/**
+ * DELETE /api/sentence-builder/templates/:id (admin)
+ */
+router.delete('/templates/:id', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const template = await SentenceTemplate.findByIdAndDelete(req.params.id);
+  if (!template) throw new NotFoundError('Template not found');
+  res.json({ message: 'Template deleted' });
+}));
+
+/**
+ * POST /api/sentence-builder/generate
+ * Practice sentences filled from vocabulary, verbs agreeing with the subject.
+ */
+router.post('/generate', authenticateToken, asyncHandler(async (req, res) => {
+  const resolved = await resolveRequest(req.body);
+
+  const { sentences, missing } = await builder.generateSentences(resolved.templates, resolved.options);
+  if (!sentences.length) {
+    throw new NotFoundError(`Not enough tagged vocabulary for: ${missing.join(', ')}`, { details: { missing } });
+  }
+  res.json({ count: sentences.length, sentences, missing });
+}));
+
+/**
+ * POST /api/sentence-builder/word-order
+ * Same body as /generate. Each exercise has shuffled tokens and a sealed
+ * `exercise` string to send back with the answer.
+ */
+router.post('/word-order', authenticateToken, asyncHandler(async (req, res) => {
+  const resolved = await resolveRequest(req.body);
+
+  const { sentences, missing } = await builder.generateSentences(resolved.templates, resolved.options);
+  if (!sentences.length) {
+    throw new NotFoundError(`Not enough tagged vocabulary for: ${missing.join(', ')}`, { details: { missing } });
+  }
+  const exercises = sentences.map(sentence => builder.toWordOrderExercise(sentence, configOf(req).jwtSecret));
+  res.json({ count: exercises.length, exercises });
+}));
+
+/**
+ * POST /api/sentence-builder/word-order/check
+ * Body: { exercise, answer: string[] }
+ */
+router.post('/word-order/check', authenticateToken, asyncHandler(async (req, res) => {
+  const { exercise, answer } = req.body;
+  if (!exercise) throw new BadRequestError('exercise is required');
+
+  const result = builder.checkWordOrder(exercise, answer, configOf(req).jwtSecret);
+  if (result.error) throw new BadRequestError(result.error);
+  res.json(result);
+}));
+
+module.exports = router;
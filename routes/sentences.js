@@ -0,0 +1,247 @@
+// routes/sentences.js
+// Sentence library: filtering, search, random practice sets and per-user practice tracking.
+const express = require('express');
+const router = express.Router();
+
+const Sentence = require('../models/Sentence');
+const SentencePractice = require('../models/SentencePractice');
+const { authenticateToken, optionalAuth, requireRole } = require('./auth');
+const { validateBody, queryText } = require('../services/validation');
+const schemas = require('../services/requestSchemas');
+const { asyncHandler, BadRequestError, NotFoundError, UnauthorizedError } = require('../services/errors');
+
+const DIFFICULTIES = Sentence.schema.path('difficulty').enumValues;
+const MAX_RANDOM = 20;
+
+// Escape user input before putting it in a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Client view of a practice record (null when never practiced)
+const toClientPractice = (record) => record ? {
+  attempts: record.attempts,
+  lastScore: record.lastScore,
+  bestScore: record.bestScore,
+  averageScore: record.averageScore,
+  lastPracticedAt: record.lastPracticedAt
+} : null;
+
+// Attach the user's practice record to each sentence; anonymous requests get the sentences as they are
+async function withPractice(sentences, userId) {
+  if (!userId) return sentences;
+  const records = await SentencePractice.find({
+    userId,
+    sentenceId: { $in: sentences.map(s => s._id) }
+  }).lean();
+  const byId = new Map(records.map(r => [String(r.sentenceId), r]));
+  return sentences.map(sentence => ({
+    ...(sentence.toObject ? sentence.toObject() : sentence),
+    practice: toClientPractice(byId.get(String(sentence._id)))
+  }));
+}
+
+// difficulty / category filter shared by the list and random endpoints
+function buildFilter({ difficulty, category }) {
+  const filter = {};
+  if (difficulty) {
+    if (!DIFFICULTIES.includes(difficulty)) throw new BadRequestError(`difficulty must be one of: ${DIFFICULTIES.join(', ')}`);
+    filter.difficulty = difficulty;
+  }
+  if (category && category !== 'All') filter.category = category;
+  return filter;
+}
+
+/**
+ * GET /api/sentences
+ * Query: difficulty, category, search (either language), practiced=true|false,
+ *        sort, order, page, limit
+ * Public. Responds with a plain array of every match, as it always has; sending
+ * page or limit returns { sentences, pagination, filters } instead. With a token,
+ * each sentence carries the user's practice record and practiced can be used.
+ */
+router.get('/', optionalAuth, asyncHandler(async (req, res) => {
+  const { search, practiced, sort = 'createdAt', order = 'desc', page, limit } = req.query;
+  const userId = req.user && req.user.id;
+
+  const filter = buildFilter(req.query);
+
+  const searchText = queryText(req.query, 'search');
+  if (searchText) {
+    const pattern = escapeRegex(searchText);
+    filter.$or = [
+      { portuguese: { $regex: pattern, $options: 'i' } },
+      { english: { $regex: pattern, $options: 'i' } }
+    ];
+  }
+
+  if (practiced === 'true' || practiced === 'false') {
+    if (!userId) throw new UnauthorizedError('Log in to filter by practice');
+    const ids = await SentencePractice.distinct('sentenceId', { userId });
+    filter._id = practiced === 'true' ? { $in: ids } : { $nin: ids };
+  }
+
+  const allowedSortFields = ['portuguese', 'english', 'difficulty', 'category', 'createdAt'];
+  const sortBy = allowedSortFields.includes(sort) ? sort : 'createdAt';
+  const sortOptions = { [sortBy]: order === 'asc' ? 1 : -1, _id: 1 };
+
+  if (page === undefined && limit === undefined) {
+    return res.json(await withPractice(await Sentence.find(filter).sort(sortOptions), userId));
+  }
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  const [sentences, total] = await Promise.all([
+    Sentence.find(filter).sort(sortOptions).skip((pageNum - 1) * limitNum).limit(limitNum),
+    Sentence.countDocuments(filter)
+  ]);
+
+  res.json({
+    sentences: await withPractice(sentences, userId),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+      hasMore: pageNum < Math.ceil(total / limitNum)
+    },
+    filters: {
+      search: search || null,
+      difficulty: req.query.difficulty || null,
+      category: req.query.category || null,
+      practiced: practiced || null
+    }
+  });
+}));
+
+/**
+ * GET /api/sentences/categories
+ */
+router.get('/categories', asyncHandler(async (req, res) => {
+  const categories = await Sentence.distinct('category');
+  res.json(categories.filter(Boolean).sort());
+}));
+
+/**
+ * GET /api/sentences/random/:count
+ * Query: difficulty, category
+ * Public, like /api/image-prompts/random/:count; practice records are added with a token.
+ */
+router.get('/random/:count', optionalAuth, asyncHandler(async (req, res) => {
+  const count = parseInt(req.params.count) || 5;
+  const limit = Math.min(Math.max(1, count), MAX_RANDOM);
+
+  const filter = buildFilter(req.query);
+
+  const total = await Sentence.countDocuments(filter);
+  if (total === 0) {
+    return res.json([]);
+  }
+
+  let sentences;
+  // If collection is small, use sample
+  if (total <= 100) {
+    sentences = await Sentence.aggregate([
+      { $match: filter },
+      { $sample: { size: limit } }
+    ]);
+  } else {
+    // For large collections, use random skip
+    const skip = Math.max(0, Math.floor(Math.random() * (total - limit)));
+    sentences = await Sentence.find(filter).skip(skip).limit(limit).lean();
+  }
+
+  res.json(await withPractice(sentences, req.user && req.user.id));
+}));
+
+/**
+ * GET /api/sentences/practice
+ * The user's practiced sentences, most recent first, with totals.
+ */
+router.get('/practice', authenticateToken, asyncHandler(async (req, res) => {
+  const records = await SentencePractice.find({ userId: req.user.id })
+    .sort({ lastPracticedAt: -1 })
+    .populate('sentenceId', 'portuguese english difficulty category');
+
+  const practiced = records.filter(r => r.sentenceId);
+  const attempts = practiced.reduce((sum, r) => sum + r.attempts, 0);
+  res.json({
+    totals: {
+      sentences: practiced.length,
+      attempts,
+      averageScore: attempts
+        ? practiced.reduce((sum, r) => sum + r.averageScore * r.attempts, 0) / attempts
+        : null
+    },
+    practice: practiced.map(r => ({
+      sentence: r.sentenceId,
+      ...toClientPractice(r)
+    }))
+  });
+}));
+
+/**
+ * GET /api/sentences/:id
+ * Public; carries the user's practice record with a token.
+ */
+router.get('/:id', optionalAuth, asyncHandler(async (req, res) => {
+  const sentence = await Sentence.findById(req.params.id);
+  if (!sentence) throw new NotFoundError('Sentence not found');
+
+  const [withRecord] = await withPractice([sentence], req.user && req.user.id);
+  res.json(withRecord);
+}));
+
+/**
+ * POST /api/sentences (admin)
+ * Body: { portuguese, english, difficulty?, category? }
+ */
+router.post('/', authenticateToken, requireRole('admin'), validateBody(schemas.sentence), asyncHandler(async (req, res) => {
+  const sentence = new Sentence(req.body);
+  await sentence.save();
+  res.status(201).json(sentence);
+}));
+
+/**
+ * PUT /api/sentences/:id (admin)
+ */
+router.put('/:id', authenticateToken, requireRole('admin'), validateBody(schemas.sentence, { partial: true }), asyncHandler(async (req, res) => {
+  const sentence = await Sentence.findByIdAndUpdate(req.params.id, { $set: req.body }, {
+    new: true,
+    runValidators: true
+  });
+  if (!sentence) throw new NotFoundError('Sentence not found');
+  res.json(sentence);
+}));
+
+/**
+ * DELETE /api/sentences/:id (admin)
+ * Also removes every user's practice records for the sentence.
+ */
+router.delete('/:id', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const sentence = await Sentence.findByIdAndDelete(req.params.id);
+  if (!sentence) throw new NotFoundError('Sentence not found');
+  await SentencePractice.deleteMany({ sentenceId: sentence._id });
+  res.json({ message: 'Sentence deleted' });
+}));
+
+/**
+ * POST /api/sentences/:id/practice
+ * Body: { score: 0-1 } or { correct: boolean }
+ */
+router.post('/:id/practice', authenticateToken, asyncHandler(async (req, res) => {
+  const { correct } = req.body;
+  const score = req.body.score !== undefined ? Number(req.body.score) : (typeof correct === 'boolean' ? Number(correct) : NaN);
+  if (!Number.isFinite(score) || score < 0 || score > 1) {
+    throw new BadRequestError('score (0-1) or correct (boolean) is required');
+  }
+
+  if (!(await Sentence.exists({ _id: req.params.id }))) {
+    throw new NotFoundError('Sentence not found');
+  }
+
+  const record = await SentencePractice.record(req.user.id, req.params.id, score);
+
+  res.json({ sentenceId: req.params.id, practice: toClientPractice(record) });
+}));
+
+module.exports = router;
@@ -0,0 +1,160 @@
+// routes/stats.js
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+
+const Word = require('../models/Word');
+const Group = require('../models/Group');
+const User = require('../models/User');
+const ReviewLog = require('../models/ReviewLog');
+const scheduler = require('../services/scheduler');
+const { authenticateToken } = require('./auth');
+const { asyncHandler, BadRequestError, NotFoundError } = require('../services/errors');
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+const FORECAST_DAYS = 30;
+
+const isValidTimeZone = (tz) => {
+  try {
+    new Intl.DateTimeFormat('en-CA', { timeZone: tz });
+    return true;
+  } catch (e) {
+    return false;
+  }
+};
+
+// "YYYY-MM-DD" for a date in the given time zone
+const dayKey = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' })
+    .format(new Date(date));
+
+/**
+ * GET /api/stats
+ * Query: days (history window, default 30, max 365), tz (IANA time zone, default UTC)
+ * Returns reviews per day, retention, card maturity counts, a 30-day due forecast
+ * and per-group accuracy for the logged-in user.
+ */
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const days = Math.min(365, Math.max(1, parseInt(req.query.days) || 30));
+  const timeZone = req.query.tz || 'UTC';
+  if (!isValidTimeZone(timeZone)) throw new BadRequestError('Invalid time zone');
+
+  const user = await User.findById(req.user.id).select('progress.words.map').lean();
+  if (!user) throw new NotFoundError('User not found');
+
+  const userId = new mongoose.Types.ObjectId(String(req.user.id));
+  const now = new Date();
+  const since = new Date(now.getTime() - days * ONE_DAY_MS);
+
+  const [dailyRows, retentionRows, groupRows, totalsRows, words] = await Promise.all([
+    ReviewLog.aggregate([
+      { $match: { userId, reviewedAt: { $gte: since } } },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m-%d', date: '$reviewedAt', timezone: timeZone } },
+          reviews: { $sum: 1 },
+          correct: { $sum: { $cond: [{ $gte: ['$grade', 3] }, 1, 0] } }
+        }
+      }
+    ]),
+    // Retention only looks at cards that had already graduated from "new"
+    ReviewLog.aggregate([
+      { $match: { userId, reviewedAt: { $gte: since }, previousInterval: { $gt: 0 } } },
+      {
+        $group: {
+          _id: null,
+          reviews: { $sum: 1 },
+          passed: { $sum: { $cond: [{ $gte: ['$grade', 3] }, 1, 0] } }
+        }
+      }
+    ]),
+    ReviewLog.aggregate([
+      { $match: { userId } },
+      { $lookup: { from: Word.collection.name, localField: 'wordId', foreignField: '_id', as: 'word' } },
+      { $unwind: '$word' },
+      {
+        $group: {
+          _id: '$word.group',
+          reviews: { $sum: 1 },
+          correct: { $sum: { $cond: [{ $gte: ['$grade', 3] }, 1, 0] } }
+        }
+      },
+      { $lookup: { from: Group.collection.name, localField: '_id', foreignField: '_id', as: 'group' } },
+      { $addFields: { name: { $ifNull: [{ $first: '$group.name' }, 'Ungrouped'] } } },
+      { $sort: { name: 1 } }
+    ]),
+    ReviewLog.aggregate([
+      { $match: { userId } },
+      { $group: { _id: null, reviews: { $sum: 1 }, averageResponseTimeMs: { $avg: '$responseTimeMs' } } }
+    ]),
+    Word.find().select('_id').lean()
+  ]);
+
+  // Reviews per day, zero-filled so charts get a continuous axis
+  const dailyByKey = new Map(dailyRows.map(row => [row._id, row]));
+  const reviewsPerDay = [];
+  for (let i = days - 1; i >= 0; i--) {
+    const date = dayKey(now.getTime() - i * ONE_DAY_MS, timeZone);
+    const row = dailyByKey.get(date);
+    reviewsPerDay.push({ date, reviews: row ? row.reviews : 0, correct: row ? row.correct : 0 });
+  }
+
+  const retention = retentionRows[0] || { reviews: 0, passed: 0 };
+
+  // Card maturity and due forecast from the current scheduler state
+  const existingIds = new Set(words.map(w => String(w._id)));
+  const cards = { new: 0, young: 0, mature: 0, total: existingIds.size };
+  const forecastByKey = new Map();
+  const todayKey = dayKey(now, timeZone);
+  const horizon = now.getTime() + (FORECAST_DAYS - 1) * ONE_DAY_MS;
+
+  for (const { wordId, progress } of scheduler.listProgress(user)) {
+    if (!existingIds.has(wordId)) continue;
+    const kind = scheduler.classifyCard(progress);
+    if (kind === 'new') continue;
+    cards[kind] += 1;
+
+    if (!progress.nextReview) continue;
+    const due = new Date(progress.nextReview).getTime();
+    if (due > horizon) continue;
+    // Overdue cards land on today
+    const key = due <= now.getTime() ? todayKey : dayKey(due, timeZone);
+    forecastByKey.set(key, (forecastByKey.get(key) || 0) + 1);
+  }
+  cards.new = cards.total - cards.young - cards.mature;
+
+  const forecast = [];
+  for (let i = 0; i < FORECAST_DAYS; i++) {
+    const date = dayKey(now.getTime() + i * ONE_DAY_MS, timeZone);
+    forecast.push({ date, due: forecastByKey.get(date) || 0 });
+  }
+
+  const totals = totalsRows[0] || { reviews: 0, averageResponseTimeMs: null };
+
+  res.json({
+    reviewsPerDay,
+    retention: {
+      rate: retention.reviews ? retention.passed / retention.reviews : null,
+      reviews: retention.reviews,
+      passed: retention.passed,
+      days
+    },
+    cards,
+    forecast,
+    groups: groupRows.map(row => ({
+      groupId: row._id,
+      group: row.name,
+      reviews: row.reviews,
+      correct: row.correct,
+      accuracy: row.reviews ? row.correct / row.reviews : null
+    })),
+    totals: {
+      reviews: totals.reviews,
+      averageResponseTimeMs: totals.averageResponseTimeMs !== null && totals.averageResponseTimeMs !== undefined
+        ? Math.round(totals.averageResponseTimeMs)
+        : null
+    }
+  });
+}));
+
+module.exports = router;
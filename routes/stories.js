@@ -0,0 +1,386 @@
+// routes/stories.js
+// Stories (CRUD, filtered lists and recommendations) and each user's reading progress: position, time spent,
+// paragraph bookmarks with notes and translation reveals (models/StoryProgress.js),
+// plus tap-to-learn vocabulary (services/storyVocabulary.js).
+const express = require('express');
+const router = express.Router();
+
+const Story = require('../models/Story');
+const StoryProgress = require('../models/StoryProgress');
+const PersonalCard = require('../models/PersonalCard');
+const User = require('../models/User');
+const vocabulary = require('../services/storyVocabulary');
+const scheduler = require('../services/scheduler');
+const { authenticateToken, requireRole } = require('./auth');
+const { validateBody, queryText } = require('../services/validation');
+const schemas = require('../services/requestSchemas');
+const { asyncHandler, NotFoundError, ValidationError, ConflictError } = require('../services/errors');
+
+// Updates run the schema validators too
+const UPDATE_OPTIONS = { new: true, runValidators: true };
+
+const findStory = async (id) => {
+  const story = await Story.findById(id);
+  if (!story) throw new NotFoundError('Story not found');
+  return story;
+};
+
+// Validate a paragraph index against the story
+const paragraphIndex = (story, value, field = 'paragraph') => {
+  const count = story.paragraphs.length;
+  const idx = Number(value);
+  if (!count) throw new ValidationError([{ field, message: 'This story has no paragraphs' }]);
+  if (!Number.isInteger(idx) || idx < 0 || idx >= count) {
+    throw new ValidationError([{ field, message: `${field} must be a paragraph index from 0 to ${count - 1}` }]);
+  }
+  return idx;
+};
+
+// The user's progress on a story, or a new unsaved record (for reading only;
+// writes go through the atomic StoryProgress statics)
+const loadProgress = async (userId, storyId) =>
+  (await StoryProgress.findOne({ userId, storyId })) || new StoryProgress({ userId, storyId });
+
+const findUser = async (id) => {
+  const user = await User.findById(id).select('progress').lean();
+  if (!user) throw new NotFoundError('User not found');
+  return user;
+};
+
+// List fields: everything but the paragraphs, plus how many there are.
+// id instead of _id, as in Story's toJSON.
+const SUMMARY_PROJECTION = {
+  _id: 0,
+  id: '$_id',
+  title: 1,
+  description: 1,
+  difficulty: 1,
+  category: 1,
+  createdAt: 1,
+  paragraphCount: { $size: { $ifNull: ['$paragraphs', []] } }
+};
+
+const toSummary = (story) => ({
+  id: story._id,
+  title: story.title,
+  description: story.description,
+  difficulty: story.difficulty,
+  category: story.category,
+  createdAt: story.createdAt,
+  paragraphCount: (story.paragraphs || []).length
+});
+
+// difficulty (1-5, or a comma-separated list), category and search, shared by the list endpoints
+function buildFilter(query) {
+  const { difficulty, category } = query;
+  const filter = {};
+  if (difficulty !== undefined && difficulty !== '') {
+    const levels = String(difficulty).split(',').map(Number);
+    if (levels.some(level => !Number.isInteger(level) || level < 1 || level > 5)) {
+      throw new ValidationError([{ field: 'difficulty', message: 'difficulty must be 1-5 or a comma-separated list of them' }]);
+    }
+    filter.difficulty = levels.length === 1 ? levels[0] : { $in: levels };
+  }
+  if (category && category !== 'All') filter.category = String(category);
+  const search = queryText(query, 'search');
+  if (search) filter.$text = { $search: search };
+  return filter;
+}
+
+const parseRatio = (value, fallback, field) => {
+  if (value === undefined || value === '') return fallback;
+  const parsed = Number(value);
+  if (!Number.isFinite(parsed) || parsed < 0 || parsed > 1) {
+    throw new ValidationError([{ field, message: `${field} must be a number from 0 to 1` }]);
+  }
+  return parsed;
+};
+
+/**
+ * GET /api/stories
+ * Query: difficulty (1-5 or e.g. 1,2), category, search, sort, order, page, limit
+ * Responds with a plain array of full stories, as it always has. Sending page,
+ * limit or search returns { stories, pagination, filters } instead, with story
+ * summaries (no paragraphs). search is full-text over titles, descriptions and
+ * paragraphs; results are ordered by relevance unless sort is given.
+ */
+router.get('/', asyncHandler(async (req, res) => {
+  const { search, sort, order = 'asc', page, limit } = req.query;
+  const filter = buildFilter(req.query);
+
+  const allowedSortFields = ['title', 'difficulty', 'category', 'createdAt'];
+  const direction = order === 'desc' ? -1 : 1;
+  let sortOptions;
+  if (allowedSortFields.includes(sort)) sortOptions = { [sort]: direction, _id: 1 };
+  else if (filter.$text) sortOptions = { score: { $meta: 'textScore' }, _id: 1 };
+  else sortOptions = { title: 1, _id: 1 };
+
+  if (page === undefined && limit === undefined && search === undefined) {
+    return res.json(await Story.find(filter).sort(sortOptions));
+  }
+
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20));
+
+  const [stories, total] = await Promise.all([
+    Story.aggregate([
+      { $match: filter },
+      { $sort: sortOptions },
+      { $skip: (pageNum - 1) * limitNum },
+      { $limit: limitNum },
+      { $project: SUMMARY_PROJECTION }
+    ]),
+    Story.countDocuments(filter)
+  ]);
+
+  res.json({
+    stories,
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+      hasMore: pageNum < Math.ceil(total / limitNum)
+    },
+    filters: {
+      search: search || null,
+      difficulty: req.query.difficulty || null,
+      category: req.query.category || null
+    }
+  });
+}));
+
+/**
+ * GET /api/stories/categories
+ * Categories with how many stories each has.
+ */
+router.get('/categories', asyncHandler(async (req, res) => {
+  const rows = await Story.aggregate([
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+    { $sort: { _id: 1 } }
+  ]);
+  res.json(rows.map(row => ({ category: row._id, count: row.count })));
+}));
+
+/**
+ * GET /api/stories/recommendations
+ * Query: difficulty, category, minCoverage, maxCoverage (0-1), limit, includeCompleted
+ * Stories ranked by how much of their text the user already knows: those
+ * inside the comfortable coverage range first (default 80-98% of running
+ * words known), then the nearest outside it. Completed stories are left out
+ * unless includeCompleted=true.
+ */
+router.get('/recommendations', authenticateToken, asyncHandler(async (req, res) => {
+  const range = {
+    min: parseRatio(req.query.minCoverage, vocabulary.COMFORT_RANGE.min, 'minCoverage'),
+    max: parseRatio(req.query.maxCoverage, vocabulary.COMFORT_RANGE.max, 'maxCoverage')
+  };
+  if (range.min > range.max) {
+    throw new ValidationError([{ field: 'minCoverage', message: 'minCoverage cannot be greater than maxCoverage' }]);
+  }
+  const limitNum = Math.min(20, Math.max(1, parseInt(req.query.limit) || 5));
+
+  const filter = buildFilter({ difficulty: req.query.difficulty, category: req.query.category });
+  if (req.query.includeCompleted !== 'true') {
+    const completed = await StoryProgress.distinct('storyId', { userId: req.user.id, completedAt: { $ne: null } });
+    if (completed.length) filter._id = { $nin: completed };
+  }
+
+  const user = await findUser(req.user.id);
+  const [stories, context] = await Promise.all([
+    // Coverage only needs the Portuguese text; the rest is for the summary
+    Story.find(filter).select('title description difficulty category createdAt paragraphs.portuguese').lean(),
+    vocabulary.loadContext(user)
+  ]);
+
+  res.json({
+    range,
+    stories: vocabulary.rankByCoverage(stories, context, range)
+      .slice(0, limitNum)
+      .map(({ story, coverage, inRange }) => ({
+        ...toSummary(story),
+        coverage: Math.round(coverage.coverage * 1000) / 1000,
+        totalWords: coverage.words,
+        knownWords: coverage.known,
+        unfamiliarWords: coverage.unfamiliar,
+        inRange
+      }))
+  });
+}));
+
+/**
+ * GET /api/stories/progress
+ * The logged-in user's progress on every story they've opened, most recent first.
+ */
+router.get('/progress', authenticateToken, asyncHandler(async (req, res) => {
+  const records = await StoryProgress.find({ userId: req.user.id })
+    .sort({ lastReadAt: -1 })
+    .populate('storyId', 'title difficulty category paragraphs');
+
+  res.json(records
+    .filter(record => record.storyId)
+    .map(record => {
+      const story = record.storyId;
+      return {
+        ...record.toSummary(story.paragraphs.length),
+        storyId: story._id,
+        story: { _id: story._id, title: story.title, difficulty: story.difficulty, category: story.category }
+      };
+    }));
+}));
+
+router.get('/:id', asyncHandler(async (req, res) => {
+  const story = await Story.findById(req.params.id);
+  if (!story) throw new NotFoundError('Story not found');
+  res.json(story);
+}));
+
+/**
+ * GET /api/stories/:id/progress
+ * Reading position, completion, time spent, bookmarks and reveal stats.
+ * started is false until the user first reads the story.
+ */
+router.get('/:id/progress', authenticateToken, asyncHandler(async (req, res) => {
+  const story = await findStory(req.params.id);
+  const record = await loadProgress(req.user.id, story._id);
+  res.json({ ...record.toSummary(story.paragraphs.length), started: !record.isNew });
+}));
+
+/**
+ * PUT /api/stories/:id/progress
+ * Body: { paragraph, timeSpentSeconds?, completed? }
+ * Saves the reading position and adds the time spent since the last update.
+ * Reading the last paragraph (or sending completed: true) completes the story.
+ */
+router.put('/:id/progress', authenticateToken, validateBody(schemas.storyProgress), asyncHandler(async (req, res) => {
+  const story = await findStory(req.params.id);
+  const paragraph = paragraphIndex(story, req.body.paragraph);
+
+  const record = await StoryProgress.markRead(req.user.id, story._id, paragraph, story.paragraphs.length, {
+    completed: req.body.completed === true,
+    timeSpentSeconds: req.body.timeSpentSeconds || 0
+  });
+
+  res.json({ ...record.toSummary(story.paragraphs.length), started: true });
+}));
+
+// DELETE /api/stories/:id/progress - Start the story over (bookmarks and stats included)
+router.delete('/:id/progress', authenticateToken, asyncHandler(async (req, res) => {
+  await StoryProgress.deleteOne({ userId: req.user.id, storyId: req.params.id });
+  res.json({ message: 'Story progress reset' });
+}));
+
+/**
+ * POST /api/stories/:id/progress/reveals
+ * Body: { paragraph }
+ * Count one reveal of a paragraph's English translation.
+ */
+router.post('/:id/progress/reveals', authenticateToken, validateBody(schemas.storyReveal), asyncHandler(async (req, res) => {
+  const story = await findStory(req.params.id);
+  const paragraph = paragraphIndex(story, req.body.paragraph);
+
+  const record = await StoryProgress.recordReveal(req.user.id, story._id, paragraph);
+
+  res.json(record.toSummary(story.paragraphs.length).reveals);
+}));
+
+/**
+ * PUT /api/stories/:id/progress/bookmarks/:paragraph
+ * Body: { note? }
+ * Bookmark a paragraph, or update its note.
+ */
+router.put('/:id/progress/bookmarks/:paragraph', authenticateToken, validateBody(schemas.storyBookmark), asyncHandler(async (req, res) => {
+  const story = await findStory(req.params.id);
+  const paragraph = paragraphIndex(story, req.params.paragraph);
+
+  const record = await StoryProgress.setBookmark(req.user.id, story._id, paragraph, req.body.note);
+
+  res.json(record.bookmarks);
+}));
+
+router.delete('/:id/progress/bookmarks/:paragraph', authenticateToken, asyncHandler(async (req, res) => {
+  const paragraph = Number(req.params.paragraph);
+  const record = Number.isInteger(paragraph)
+    ? await StoryProgress.removeBookmark(req.user.id, req.params.id, paragraph)
+    : null;
+  if (!record) throw new NotFoundError('Bookmark not found');
+  res.json(record.bookmarks);
+}));
+
+/**
+ * GET /api/stories/:id/vocabulary
+ * Every paragraph split into tokens. Word tokens carry a status for the user
+ * (known, new or unknown), the matched word or verb and whether they've saved it.
+ */
+router.get('/:id/vocabulary', authenticateToken, asyncHandler(async (req, res) => {
+  const story = await findStory(req.params.id);
+  const user = await findUser(req.user.id);
+  res.json(await vocabulary.analyzeStory(story, user));
+}));
+
+/**
+ * POST /api/stories/:id/vocabulary
+ * Body: { paragraph, token, english? }
+ * Save a word from the story as a personal flashcard with its sentence as context.
+ * Words in the dictionary are linked to their Word and queued as new cards;
+ * anything else needs an english translation in the body.
+ */
+router.post('/:id/vocabulary', authenticateToken, validateBody(schemas.storyCard), asyncHandler(async (req, res) => {
+  const story = await findStory(req.params.id);
+  const paragraph = paragraphIndex(story, req.body.paragraph);
+  const text = story.paragraphs[paragraph].portuguese;
+
+  const wanted = vocabulary.normalizeToken(req.body.token);
+  const token = vocabulary.tokenize(text).find(t => t.word && vocabulary.normalizeToken(t.text) === wanted);
+  if (!token) throw new ValidationError([{ field: 'token', message: 'token does not appear in this paragraph' }]);
+
+  const user = await findUser(req.user.id);
+  const match = vocabulary.lookup(await vocabulary.buildLexicon(), token.text);
+  const english = (req.body.english || '').trim() || match.english;
+  if (!english) {
+    throw new ValidationError([{ field: 'english', message: 'english is required for words that are not in the dictionary' }]);
+  }
+
+  const existing = await PersonalCard.findOne({ userId: user._id, key: match.key }).select('_id').lean();
+  if (existing) throw new ConflictError('This word is already in your flashcards', { details: { cardId: existing._id } });
+
+  const card = await PersonalCard.create({
+    userId: user._id,
+    key: match.key,
+    portuguese: token.text,
+    lemma: match.lemma,
+    english,
+    wordId: match.word ? match.word._id : null,
+    storyId: story._id,
+    paragraph,
+    context: vocabulary.sentenceFor(text, token.text)
+  });
+  const queue = card.wordId ? await scheduler.queueWords(user, [card.wordId]) : null;
+
+  res.status(201).json({
+    card,
+    status: vocabulary.statusFor(user, match, card),
+    queued: Boolean(queue && queue.queued.length)
+  });
+}));
+
+router.post('/', authenticateToken, requireRole('admin'), validateBody(schemas.story), asyncHandler(async (req, res) => {
+  const story = new Story(req.body);
+  await story.save();
+  res.status(201).json(story);
+}));
+
+router.put('/:id', authenticateToken, requireRole('admin'), validateBody(schemas.story, { partial: true }), asyncHandler(async (req, res) => {
+  const story = await Story.findByIdAndUpdate(req.params.id, { $set: req.body }, UPDATE_OPTIONS);
+  if (!story) throw new NotFoundError('Story not found');
+  res.json(story);
+}));
+
+router.delete('/:id', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const story = await Story.findByIdAndDelete(req.params.id);
+  if (!story) throw new NotFoundError('Story not found');
+  await StoryProgress.deleteMany({ storyId: story._id });
+  res.json({ message: 'Story deleted' });
+}));
+
+module.exports = router;
@@ -1,17 +1,217 @@
-app.get('/api/tests/type/:type', async (req, res) => {
-  try {
-    const type = decodeURIComponent(req.params.type);
-    console.log('🔍 Searching for tests with type:', type);
-    
-    const tests = await Test.find({ type });
-    
-    console.log('✅ Found', tests.length, 'tests');
-    res.json(tests);
-  } catch (error) {
-    console.error('❌ Error fetching tests by type:', error);
-    res.status(500).json({ 
-      error: 'Failed to fetch tests by type',
-      details: error.message 
-    });
+// routes/tests.js
+const express = require('express');
+const router = express.Router();
+
+const Test = require('../models/Test');
+const TestAttempt = require('../models/TestAttempt');
+const User = require('../models/User');
+const learningPath = require('../services/learningPath');
+const { authenticateToken, requireRole } = require('./auth');
+const { validateBody } = require('../services/validation');
+const schemas = require('../services/requestSchemas');
+const { asyncHandler, BadRequestError, NotFoundError } = require('../services/errors');
+
+// Updates run the schema validators too
+const UPDATE_OPTIONS = { new: true, runValidators: true };
+
+/**
+ * Strip answers (and the explanations that give them away) before a test
+ * is sent to a learner. Answers only come back from grading an attempt.
+ */
+function toPublicTest(test) {
+  const obj = typeof test.toObject === 'function' ? test.toObject() : { ...test };
+  obj.questions = (obj.questions || []).map(({ correctAnswer, explanation, ...question }) => question);
+  return obj;
+}
+
+/**
+ * Normalize submitted answers into a Map of questionId -> selected option index.
+ * Accepts either an array of indexes in question order, or
+ * an array of { questionId, answer } objects.
+ */
+function normalizeAnswers(test, answers) {
+  const selected = new Map();
+  answers.forEach((item, idx) => {
+    if (item !== null && typeof item === 'object') {
+      if (item.questionId !== undefined) selected.set(String(item.questionId), item.answer);
+    } else if (test.questions[idx]) {
+      selected.set(String(test.questions[idx]._id), item);
+    }
+  });
+  return selected;
+}
+
+// Grade a test server-side. Returns per-question feedback plus totals.
+function gradeTest(test, answers) {
+  const selected = normalizeAnswers(test, answers);
+
+  const results = test.questions.map((question) => {
+    const raw = selected.get(String(question._id));
+    const choice = Number.isInteger(raw) ? raw : null;
+    const correct = choice !== null && choice === question.correctAnswer;
+    return {
+      questionId: question._id,
+      question: question.question,
+      options: question.options,
+      selected: choice,
+      correctAnswer: question.correctAnswer,
+      correct,
+      explanation: question.explanation || ''
+    };
+  });
+
+  const correctCount = results.filter(r => r.correct).length;
+  const questionCount = results.length;
+  const score = questionCount ? Math.round((correctCount / questionCount) * 100) : 0;
+
+  return { results, correctCount, questionCount, score };
+}
+
+// GET /api/tests/type/:type - Tests of a given type, answers stripped
+router.get('/type/:type', asyncHandler(async (req, res) => {
+  const type = decodeURIComponent(req.params.type);
+  const tests = await Test.find({ type }).sort({ title: 1 });
+  res.json(tests.map(toPublicTest));
+}));
+
+/**
+ * GET /api/tests/attempts
+ * The logged-in user's attempts (newest first) and best score per test.
+ */
+router.get('/attempts', authenticateToken, asyncHandler(async (req, res) => {
+  const attempts = await TestAttempt.find({ userId: req.user.id })
+    .sort({ createdAt: -1 })
+    .populate('testId', 'title type');
+
+  const best = new Map();
+  for (const attempt of attempts) {
+    if (!attempt.testId) continue; // test was deleted
+    const key = String(attempt.testId._id);
+    const current = best.get(key);
+    if (!current || attempt.score > current.bestScore) {
+      best.set(key, {
+        testId: attempt.testId._id,
+        title: attempt.testId.title,
+        bestScore: attempt.score,
+        attempts: current ? current.attempts + 1 : 1
+      });
+    } else {
+      current.attempts += 1;
+    }
   }
-});
\ No newline at end of file
+
+  res.json({ attempts, bestScores: Array.from(best.values()) });
+}));
+
+/**
+ * GET /api/tests/:id/attempts
+ * The logged-in user's attempts at one test and their best score.
+ */
+router.get('/:id/attempts', authenticateToken, asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const attempts = await TestAttempt.find({ userId: req.user.id, testId: id }).sort({ createdAt: -1 });
+  const bestScore = attempts.length ? Math.max(...attempts.map(a => a.score)) : null;
+
+  res.json({ testId: id, attempts, bestScore });
+}));
+
+/**
+ * POST /api/tests/:id/attempts
+ * Body: { answers: number[] | { questionId, answer }[], timeSpentSeconds?: number }
+ * Grades the attempt on the server, stores it and returns per-question feedback.
+ * learningPath reports any stages the attempt completed ({ completed, currentStage }).
+ */
+router.post('/:id/attempts', authenticateToken, asyncHandler(async (req, res) => {
+  const { answers, timeSpentSeconds } = req.body;
+  if (!Array.isArray(answers)) throw new BadRequestError('answers must be an array');
+
+  const test = await Test.findById(req.params.id);
+  if (!test) throw new NotFoundError('Test not found');
+
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError('User not found');
+
+  const { results, correctCount, questionCount, score } = gradeTest(test, answers);
+  const seconds = Number(timeSpentSeconds);
+
+  const attempt = await TestAttempt.create({
+    userId: user._id,
+    testId: test._id,
+    answers: results.map(r => ({ questionId: r.questionId, selected: r.selected, correct: r.correct })),
+    correctCount,
+    questionCount,
+    score,
+    timeSpentSeconds: Number.isFinite(seconds) && seconds >= 0 ? Math.round(seconds) : null
+  });
+
+  // Summary on the user for progress screens. Only written here (clients
+  // can't set progress.tests); scores that matter are read from TestAttempt.
+  user.progress.tests.push({ testId: test._id, score, date: attempt.createdAt });
+  await user.save();
+
+  const previousBest = await TestAttempt.findOne({ userId: user._id, testId: test._id, _id: { $ne: attempt._id } })
+    .sort({ score: -1 })
+    .select('score');
+  const path = await learningPath.advanceAfterActivity(user);
+
+  res.status(201).json({
+    attemptId: attempt._id,
+    testId: test._id,
+    score,
+    correctCount,
+    questionCount,
+    bestScore: previousBest ? Math.max(previousBest.score, score) : score,
+    results,
+    learningPath: path
+  });
+}));
+
+// GET /api/tests/:id/full - Test including answers, for editing (admin only)
+router.get('/:id/full', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const test = await Test.findById(req.params.id);
+  if (!test) throw new NotFoundError('Test not found');
+  res.json(test);
+}));
+
+// -----------------------
+// CRUD (after the named routes above so /attempts isn't taken for an id)
+// -----------------------
+router.get('/', asyncHandler(async (req, res) => {
+  const tests = await Test.find().sort({ title: 1 });
+  res.json(tests.map(toPublicTest));
+}));
+
+// Get tests by story ID
+router.get('/story/:storyId', asyncHandler(async (req, res) => {
+  const tests = await Test.find({ storyId: req.params.storyId });
+  res.json(tests.map(toPublicTest));
+}));
+
+router.get('/:id', asyncHandler(async (req, res) => {
+  const test = await Test.findById(req.params.id);
+  if (!test) throw new NotFoundError('Test not found');
+  res.json(toPublicTest(test));
+}));
+
+router.post('/', authenticateToken, requireRole('admin'), validateBody(schemas.test), asyncHandler(async (req, res) => {
+  const test = new Test(req.body);
+  await test.save();
+  res.status(201).json(test);
+}));
+
+router.put('/:id', authenticateToken, requireRole('admin'), validateBody(schemas.test, { partial: true }), asyncHandler(async (req, res) => {
+  // questionCount is kept in step by the save hook, which updates bypass
+  if (req.body.questions) req.body.questionCount = req.body.questions.length;
+  req.body.updatedAt = new Date();
+  const test = await Test.findByIdAndUpdate(req.params.id, { $set: req.body }, UPDATE_OPTIONS);
+  if (!test) throw new NotFoundError('Test not found');
+  res.json(test);
+}));
+
+router.delete('/:id', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const test = await Test.findByIdAndDelete(req.params.id);
+  if (!test) throw new NotFoundError('Test not found');
+  res.json({ message: 'Test deleted' });
+}));
+
+module.exports = { router, toPublicTest };
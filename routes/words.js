@@ -1,160 +1,244 @@
 const express = require('express');
 const router = express.Router();
 const Word = require('../models/Word');
+const User = require('../models/User');
+const Group = require('../models/Group');
+const scheduler = require('../services/scheduler');
+const learningPath = require('../services/learningPath');
 const { searchImages } = require('../services/imageSearch');
+const { findGroup } = require('../services/groups');
+const { authenticateToken, requireRole } = require('./auth');
+const { validateBody, queryText } = require('../services/validation');
+const schemas = require('../services/requestSchemas');
+const { asyncHandler, BadRequestError, ConflictError, NotFoundError, ValidationError } = require('../services/errors');
+
+// Escape user input before putting it in a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match on the Portuguese text
+const portugueseMatch = (portuguese) => ({
+  $regex: new RegExp(`^${escapeRegex(portuguese)}$`, 'i')
+});
 
-// GET ALL WORDS with advanced filtering, sorting, and pagination
-router.get('/', async (req, res) => {
-  try {
-    const {
-      search,
-      group,
-      sort = 'portuguese',
-      order = 'asc',
-      page = 1,
-      limit = 20
-    } = req.query;
-
-    // Build filter object
-    let filter = {};
-
-    // Full-text search across Portuguese and English (case-insensitive)
-    if (search && search.trim() !== '') {
-      filter.$or = [
-        { portuguese: { $regex: search.trim(), $options: 'i' } },
-        { english: { $regex: search.trim(), $options: 'i' } }
-      ];
-    }
+// Group fields sent along with each word
+const GROUP_FIELDS = 'name icon level';
 
-    // Filter by group (supports 'Ungrouped' as null)
-    if (group && group !== 'All') {
-      if (group === 'Ungrouped') {
-        filter.group = { $in: [null, '', undefined] };
-      } else {
-        filter.group = group;
-      }
-    }
+// A word's group must exist; returns field errors or null
+const checkGroup = async (group) => (
+  group && !(await Group.exists({ _id: group })) ? [{ field: 'group', message: 'Group not found' }] : null
+);
 
-    // Define allowed sort fields to prevent injection
-    const allowedSortFields = ['portuguese', 'english', 'group', 'difficulty', 'createdAt'];
-    const sortBy = allowedSortFields.includes(sort) ? sort : 'portuguese';
-
-    // Sort order
-    const sortOrder = order === 'desc' ? -1 : 1;
-    const sortOptions = { [sortBy]: sortOrder };
-
-    // Pagination
-    const pageNum = Math.max(1, parseInt(page));
-    const limitNum = Math.min(100, Math.max(1, parseInt(limit))); // Max 100 per page
-    const skip = (pageNum - 1) * limitNum;
-
-    // Fetch filtered, sorted, paginated words
-    const words = await Word
-      .find(filter)
-      .sort(sortOptions)
-      .skip(skip)
-      .limit(limitNum);
-
-    // Get total count for pagination
-    const total = await Word.countDocuments(filter);
-
-    // Respond with structured data
-    res.json({
-      words,
-      pagination: {
-        page: pageNum,
-        limit: limitNum,
-        total,
-        pages: Math.ceil(total / limitNum),
-        hasMore: pageNum < Math.ceil(total / limitNum)
-      },
-      filters: {
-        search: search || null,
-        group: group || null
-      }
-    });
-  } catch (err) {
-    console.error('Error fetching words:', err.message);
-    res.status(500).json({ error: 'Server error while fetching words' });
-  }
+// Merge the user's scheduler progress onto a word
+const withProgress = (word, user) => ({
+  ...word.toObject(),
+  ...scheduler.toClientProgress(scheduler.getProgress(user, word._id))
 });
 
-// ADD A NEW WORD (with image search)
-router.post('/', async (req, res) => {
-  const { portuguese, english, partOfSpeech, gender, examples, difficulty, group } = req.body;
+// GET ALL WORDS with advanced filtering and sorting
+// Each word carries the logged-in user's review progress.
+// Responds with a plain array of every match, as it always has. Pagination is
+// opt-in: sending page or limit returns { words, pagination, filters } instead.
+router.get('/', authenticateToken, asyncHandler(async (req, res) => {
+  const {
+    search,
+    group,
+    partOfSpeech,
+    gender,
+    difficulty,
+    sort = 'portuguese',
+    order = 'asc',
+    page,
+    limit
+  } = req.query;
+
+  // Build filter object
+  let filter = {};
+
+  // Full-text search across Portuguese and English (case-insensitive)
+  const searchText = queryText(req.query, 'search');
+  if (searchText) {
+    const pattern = escapeRegex(searchText);
+    filter.$or = [
+      { portuguese: { $regex: pattern, $options: 'i' } },
+      { english: { $regex: pattern, $options: 'i' } }
+    ];
+  }
 
-  // Validate required fields
-  if (!portuguese || !english) {
-    return res.status(400).json({ msg: 'Portuguese and English translations are required' });
+  // Filter by group id or name (supports 'Ungrouped' as null)
+  if (group && group !== 'All') {
+    if (group === 'Ungrouped') {
+      filter.group = null;
+    } else {
+      const found = await findGroup(group);
+      // An unknown group matches no words
+      filter.group = found ? found._id : { $in: [] };
+    }
   }
 
-  try {
-    // Check if word already exists (case-insensitive)
-    const normalizedPortuguese = portuguese.trim();
-    const existingWord = await Word.findOne({
-      portuguese: { $regex: new RegExp(`^${normalizedPortuguese}$`, 'i') }
-    });
+  if (partOfSpeech) filter.partOfSpeech = partOfSpeech;
+  if (gender) filter.gender = gender;
+  if (difficulty) filter.difficulty = difficulty;
 
-    if (existingWord) {
-      return res.status(400).json({ msg: 'Word already exists' });
-    }
+  // Define allowed sort fields to prevent injection
+  const allowedSortFields = ['portuguese', 'english', 'group', 'partOfSpeech', 'difficulty', 'createdAt'];
+  const sortBy = allowedSortFields.includes(sort) ? sort : 'portuguese';
 
-    // Search for a relevant image
-    const imageUrl = await searchImages(normalizedPortuguese);
-
-    // Create new word
-    const word = new Word({
-      portuguese: normalizedPortuguese,
-      english: english.trim(),
-      partOfSpeech,
-      gender,
-      examples: examples?.length ? examples : [],
-      difficulty: difficulty || 'beginner',
-      group: group || null,
-      imageUrl
-    });
+  // Sort order
+  const sortOrder = order === 'desc' ? -1 : 1;
+  const sortOptions = { [sortBy]: sortOrder, _id: 1 };
+
+  const user = await User.findById(req.user.id).select('progress.words.map').lean();
 
-    await word.save();
-    res.status(201).json(word);
-  } catch (err) {
-    console.error('Error creating word:', err.message);
-    res.status(500).json({ error: 'Server error while saving word' });
+  if (page === undefined && limit === undefined) {
+    const words = await Word.find(filter).sort(sortOptions).populate('group', GROUP_FIELDS);
+    return res.json(words.map(word => withProgress(word, user)));
   }
-});
 
-// GET SINGLE WORD BY ID
-router.get('/:id', async (req, res) => {
-  try {
-    const word = await Word.findById(req.params.id);
-    if (!word) {
-      return res.status(404).json({ msg: 'Word not found' });
-    }
-    res.json(word);
-  } catch (err) {
-    console.error(err.message);
-    if (err.kind === 'ObjectId') {
-      return res.status(404).json({ msg: 'Word not found' });
+  // Pagination
+  const pageNum = Math.max(1, parseInt(page) || 1);
+  const limitNum = Math.min(100, Math.max(1, parseInt(limit) || 20)); // Max 100 per page
+  const skip = (pageNum - 1) * limitNum;
+
+  // Fetch filtered, sorted, paginated words and the total count for pagination
+  const [words, total] = await Promise.all([
+    Word.find(filter).sort(sortOptions).skip(skip).limit(limitNum).populate('group', GROUP_FIELDS),
+    Word.countDocuments(filter)
+  ]);
+
+  // Respond with structured data
+  res.json({
+    words: words.map(word => withProgress(word, user)),
+    pagination: {
+      page: pageNum,
+      limit: limitNum,
+      total,
+      pages: Math.ceil(total / limitNum),
+      hasMore: pageNum < Math.ceil(total / limitNum)
+    },
+    filters: {
+      search: search || null,
+      group: group || null,
+      partOfSpeech: partOfSpeech || null,
+      gender: gender || null,
+      difficulty: difficulty || null
     }
-    res.status(500).send('Server error');
+  });
+}));
+
+// ADD A NEW WORD (with image search)
+router.post('/', authenticateToken, requireRole('admin'), validateBody(schemas.word), asyncHandler(async (req, res) => {
+  const { portuguese, english, partOfSpeech, gender, examples, difficulty, group, imageUrl } = req.body;
+
+  const groupErrors = await checkGroup(group);
+  if (groupErrors) throw new ValidationError(groupErrors);
+
+  // Check if word already exists (case-insensitive)
+  const normalizedPortuguese = portuguese.trim();
+  const existingWord = await Word.findOne({ portuguese: portugueseMatch(normalizedPortuguese) });
+
+  if (existingWord) throw new ConflictError('Word already exists');
+
+  // Search for a relevant image unless one was supplied
+  const image = imageUrl || await searchImages(normalizedPortuguese);
+
+  // Create new word
+  const word = new Word({
+    portuguese: normalizedPortuguese,
+    english: english.trim(),
+    partOfSpeech: partOfSpeech || null,
+    gender: gender || null,
+    examples: examples?.length ? examples : [],
+    difficulty: difficulty || 'beginner',
+    group: group || null,
+    imageUrl: image
+  });
+
+  await word.save();
+  await word.populate('group', GROUP_FIELDS);
+  res.status(201).json(word);
+}));
+
+// GET SINGLE WORD BY ID
+router.get('/:id', authenticateToken, asyncHandler(async (req, res) => {
+  const word = await Word.findById(req.params.id).populate('group', GROUP_FIELDS);
+  if (!word) throw new NotFoundError('Word not found');
+  const user = await User.findById(req.user.id).select('progress.words.map').lean();
+  res.json(withProgress(word, user));
+}));
+
+// UPDATE A WORD (admin); PUT /:id itself records a review, see below
+router.put('/:id/details', authenticateToken, requireRole('admin'), validateBody(schemas.word, { partial: true }), asyncHandler(async (req, res) => {
+  const { portuguese, english, partOfSpeech, gender, examples, difficulty, group, imageUrl } = req.body;
+
+  let word = await Word.findById(req.params.id);
+  if (!word) throw new NotFoundError('Word not found');
+
+  const groupErrors = await checkGroup(group);
+  if (groupErrors) throw new ValidationError(groupErrors);
+
+  // Check for duplicates on update (except self)
+  if (portuguese) {
+    const normalizedPortuguese = portuguese.trim();
+    const duplicate = await Word.findOne({
+      portuguese: portugueseMatch(normalizedPortuguese),
+      _id: { $ne: word._id }
+    });
+    if (duplicate) throw new ConflictError('Another word with this Portuguese text already exists');
+    word.portuguese = normalizedPortuguese;
+  }
+
+  if (english) word.english = english.trim();
+  if (partOfSpeech !== undefined) word.partOfSpeech = partOfSpeech;
+  if (gender !== undefined) word.gender = gender;
+  if (examples !== undefined) word.examples = examples;
+  if (difficulty !== undefined) word.difficulty = difficulty;
+  if (group !== undefined) word.group = group || null;
+  if (imageUrl !== undefined) word.imageUrl = imageUrl || null;
+
+  await word.save();
+  await word.populate('group', GROUP_FIELDS);
+  res.json(word);
+}));
+
+// RECORD A REVIEW of this word for the logged-in user
+// Body: { grade: 0-5, responseTimeMs? } (or legacy { difficulty: 'easy'|'medium'|'hard' })
+// Progress values are computed by the scheduler, never taken from the client.
+// Served at PUT /:id (the original review endpoint) and POST /:id/review.
+const recordReview = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const grade = scheduler.parseGrade(req.body);
+  if (grade === null) {
+    throw new BadRequestError('A grade (0-5) or difficulty is required');
   }
+
+  const word = await Word.findById(id).populate('group', GROUP_FIELDS);
+  if (!word) throw new NotFoundError('Word not found');
+
+  const user = await User.findById(req.user.id);
+  if (!user) throw new NotFoundError('User not found');
+
+  // Saves the user and appends to the review log
+  const { progress } = await scheduler.recordReview(user, id, grade, {
+    responseTimeMs: scheduler.parseResponseTime(req.body.responseTimeMs)
+  });
+  await learningPath.advanceAfterActivity(user);
+
+  // Return the word with merged progress (frontend expects this)
+  res.json({
+    ...word.toObject(),
+    ...scheduler.toClientProgress(progress)
+  });
 });
 
-// UPDATE A WORD
-router.put('/:id', async (req, res) => {
-  const { portuguese, english, partOfSpeech, gender, examples, difficulty, group } = req.body;
+router.put('/:id', authenticateToken, recordReview);
+router.post('/:id/review', authenticateToken, recordReview);
 
-  try {
-    let word = await Word.findById(req.params.id);
-    if (!word) {
-      return res.status(404).json({ msg: 'Word not found' });
-    }
+// DELETE A WORD
+router.delete('/:id', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const word = await Word.findByIdAndDelete(req.params.id);
+  if (!word) throw new NotFoundError('Word not found');
+  res.json({ message: 'Word deleted successfully' });
+}));
 
-    // Check for duplicates on update (except self)
-    if (portuguese) {
-      const normalizedPortuguese = portuguese.trim();
-      const duplicate = await Word.findOne({
-        portuguese: { $regex: new RegExp(`^${normalizedPortuguese}$`, 'i') },
-        _id: { $ne: word._id }
-      });
-      if (duplicate) {
-        return res
\ No newline at end of file
+module.exports = router;
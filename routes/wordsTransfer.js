@@ -0,0 +1,318 @@
+// routes/wordsTransfer.js
+// Bulk import/export of the Word collection as CSV or XLSX.
+const express = require('express');
+const multer = require('multer');
+const csv = require('csv-parser');
+const { createObjectCsvStringifier } = require('csv-writer');
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+const router = express.Router();
+
+const Word = require('../models/Word');
+const Group = require('../models/Group');
+const { LEGACY_DEFAULT_GROUP, findGroup, idsForNames } = require('../services/groups');
+const { authenticateToken, requireRole } = require('./auth');
+const { asyncHandler, BadRequestError, NotFoundError } = require('../services/errors');
+
+const MAX_UPLOAD_BYTES = 5 * 1024 * 1024;
+const MAX_ROWS = 5000;
+
+// Examples are stored as an array; in files they're joined with this separator
+const EXAMPLE_SEPARATOR = '|';
+
+// Cells starting with these are run as formulas by spreadsheet apps, so CSV
+// exports prefix them with an apostrophe (which imports strip again)
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA = /^'(?=[=+\-@\t\r])/;
+
+const csvSafe = (value) => (typeof value === 'string' && FORMULA_PREFIX.test(value) ? `'${value}` : value);
+
+const COLUMNS = [
+  { id: 'portuguese', title: 'portuguese' },
+  { id: 'english', title: 'english' },
+  { id: 'group', title: 'group' },
+  { id: 'examples', title: 'examples' },
+  { id: 'imageUrl', title: 'imageUrl' }
+];
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_UPLOAD_BYTES, files: 1 }
+});
+
+// Run multer and turn its errors into 400s instead of falling through to the 500 handler
+const uploadFile = (req, res, next) => {
+  upload.single('file')(req, res, (err) => {
+    if (err) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `File is too large (max ${MAX_UPLOAD_BYTES / (1024 * 1024)} MB)`
+        : 'Invalid upload';
+      return next(new BadRequestError(message));
+    }
+    next();
+  });
+};
+
+const detectFormat = (file) => {
+  const name = (file.originalname || '').toLowerCase();
+  if (name.endsWith('.csv') || file.mimetype === 'text/csv') return 'csv';
+  if (name.endsWith('.xlsx') ||
+      file.mimetype === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet') return 'xlsx';
+  return null;
+};
+
+// Header names are matched case-insensitively ("imageurl", "ImageUrl", ...)
+const normalizeHeader = (header) => {
+  const key = String(header || '').replace(/^\uFEFF/, '').trim().toLowerCase();
+  const column = COLUMNS.find(c => c.id.toLowerCase() === key);
+  return column ? column.id : key;
+};
+
+function parseCsv(buffer) {
+  return new Promise((resolve, reject) => {
+    const rows = [];
+    Readable.from(buffer)
+      .pipe(csv({ mapHeaders: ({ header }) => normalizeHeader(header) }))
+      .on('data', row => rows.push(row))
+      .on('end', () => resolve(rows))
+      .on('error', reject);
+  });
+}
+
+async function parseXlsx(buffer) {
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(buffer);
+  const sheet = workbook.worksheets[0];
+  if (!sheet) return [];
+
+  const headers = [];
+  sheet.getRow(1).eachCell({ includeEmpty: true }, (cell, col) => {
+    headers[col] = normalizeHeader(cell.text);
+  });
+
+  const rows = [];
+  for (let r = 2; r <= sheet.rowCount; r++) {
+    const row = sheet.getRow(r);
+    if (!row.hasValues) {
+      rows.push({});
+      continue;
+    }
+    const record = {};
+    headers.forEach((key, col) => {
+      if (key) record[key] = row.getCell(col).text;
+    });
+    rows.push(record);
+  }
+  return rows;
+}
+
+// Validate and normalize one row. Returns { word, errors }.
+function validateRow(raw) {
+  const errors = [];
+  const text = (value) => (value === undefined || value === null ? '' : String(value).trim().replace(ESCAPED_FORMULA, ''));
+
+  const portuguese = text(raw.portuguese);
+  const english = text(raw.english);
+  // Group by name; blank (or the old default name) leaves the word ungrouped
+  const groupName = text(raw.group);
+  const group = groupName && groupName.toLowerCase() !== LEGACY_DEFAULT_GROUP.toLowerCase() ? groupName : null;
+  const imageUrl = text(raw.imageUrl) || null;
+  const examples = text(raw.examples)
+    .split(EXAMPLE_SEPARATOR)
+    .map(e => e.trim())
+    .filter(Boolean);
+
+  if (!portuguese) errors.push('portuguese is required');
+  if (!english) errors.push('english is required');
+  if (portuguese.length > 200) errors.push('portuguese must be at most 200 characters');
+  if (english.length > 200) errors.push('english must be at most 200 characters');
+  if (group && group.length > 100) errors.push('group must be at most 100 characters');
+  if (imageUrl && !/^https?:\/\//i.test(imageUrl)) errors.push('imageUrl must be an http(s) URL');
+
+  return { word: { portuguese, english, group, examples, imageUrl }, errors };
+}
+
+const isBlankRow = (raw) => COLUMNS.every(c => !String(raw[c.id] || '').trim());
+
+/**
+ * POST /api/words/import
+ * multipart/form-data with a "file" field (.csv or .xlsx)
+ * Query: dryRun=true to validate and preview without writing
+ * Columns: portuguese, english, group (name), examples (separated by "|"), imageUrl
+ * Words are matched to existing ones by Portuguese text (case-insensitive) and updated;
+ * everything else is created. Groups that don't exist yet are created (listed in newGroups).
+ */
+router.post('/import', authenticateToken, requireRole('admin'), uploadFile, asyncHandler(async (req, res) => {
+  if (!req.file) throw new BadRequestError('A CSV or XLSX file is required in the "file" field');
+
+  const format = detectFormat(req.file);
+  if (!format) throw new BadRequestError('Unsupported file type; upload .csv or .xlsx');
+
+  const dryRun = req.query.dryRun === 'true' || req.query.dryRun === '1';
+
+  let rows;
+  try {
+    rows = format === 'csv' ? await parseCsv(req.file.buffer) : await parseXlsx(req.file.buffer);
+  } catch (parseErr) {
+    console.error('Error parsing word import:', parseErr);
+    throw new BadRequestError(`Could not read ${format.toUpperCase()} file`);
+  }
+
+  if (rows.length > MAX_ROWS) {
+    throw new BadRequestError(`Too many rows (max ${MAX_ROWS})`);
+  }
+
+  const existingWords = await Word.find().select('portuguese');
+  const existingByKey = new Map(existingWords.map(w => [w.portuguese.toLowerCase(), w]));
+
+  const errors = [];
+  const duplicates = [];
+  const toCreate = [];
+  const toUpdate = [];
+  const seen = new Map(); // lowercased portuguese -> first row number
+
+  rows.forEach((raw, idx) => {
+    const rowNumber = idx + 2; // header is row 1
+    if (isBlankRow(raw)) return;
+
+    const { word, errors: rowErrors } = validateRow(raw);
+    if (rowErrors.length) {
+      errors.push({ row: rowNumber, portuguese: word.portuguese || null, errors: rowErrors });
+      return;
+    }
+
+    const key = word.portuguese.toLowerCase();
+    if (seen.has(key)) {
+      duplicates.push({ row: rowNumber, portuguese: word.portuguese, firstRow: seen.get(key) });
+      return;
+    }
+    seen.set(key, rowNumber);
+
+    const existing = existingByKey.get(key);
+    if (existing) toUpdate.push({ row: rowNumber, id: existing._id, word });
+    else toCreate.push({ row: rowNumber, word });
+  });
+
+  // Group names -> ids; a dry run only reports the groups it would create
+  const { ids: groupIds, created: newGroups } = await idsForNames(
+    [...toCreate, ...toUpdate].map(({ word }) => word.group),
+    { create: !dryRun }
+  );
+
+  const summary = {
+    dryRun,
+    format,
+    totalRows: rows.filter(raw => !isBlankRow(raw)).length,
+    valid: toCreate.length + toUpdate.length,
+    invalid: errors.length,
+    newGroups,
+    duplicates,
+    errors
+  };
+
+  if (dryRun) {
+    return res.json({
+      ...summary,
+      toCreate: toCreate.map(({ row, word }) => ({ row, ...word })),
+      toUpdate: toUpdate.map(({ row, id, word }) => ({ row, id, ...word }))
+    });
+  }
+
+  const groupId = (word) => (word.group ? groupIds.get(word.group.toLowerCase()) : null);
+
+  const operations = [
+    ...toCreate.map(({ word }) => ({ insertOne: { document: { ...word, group: groupId(word) } } })),
+    ...toUpdate.map(({ id, word }) => ({
+      updateOne: {
+        filter: { _id: id },
+        update: {
+          $set: {
+            english: word.english,
+            group: groupId(word),
+            examples: word.examples,
+            imageUrl: word.imageUrl
+          }
+        },
+        runValidators: true
+      }
+    }))
+  ];
+
+  let result = { insertedCount: 0, modifiedCount: 0 };
+  if (operations.length) {
+    result = await Word.bulkWrite(operations, { ordered: false });
+  }
+
+  res.json({
+    ...summary,
+    created: result.insertedCount,
+    updated: result.modifiedCount,
+    unchanged: toUpdate.length - result.modifiedCount
+  });
+}));
+
+/**
+ * GET /api/words/export
+ * Query: format=csv|xlsx (default csv), group (optional filter: id, name or Ungrouped)
+ */
+router.get('/export', authenticateToken, requireRole('admin'), asyncHandler(async (req, res) => {
+  const format = (req.query.format || 'csv').toLowerCase();
+  if (!['csv', 'xlsx'].includes(format)) {
+    throw new BadRequestError('format must be csv or xlsx');
+  }
+
+  const filter = {};
+  let fileGroup = null;
+  const { group } = req.query;
+  if (group && group !== 'All') {
+    if (group === 'Ungrouped') {
+      filter.group = null;
+      fileGroup = group;
+    } else {
+      const found = await findGroup(group);
+      if (!found) throw new NotFoundError('Group not found');
+      filter.group = found._id;
+      fileGroup = found.name;
+    }
+  }
+
+  const [words, groups] = await Promise.all([
+    Word.find(filter).sort({ portuguese: 1 }).lean(),
+    Group.find().select('name').lean()
+  ]);
+  const groupNames = new Map(groups.map(g => [String(g._id), g.name]));
+  const records = words.map(w => ({
+    portuguese: w.portuguese,
+    english: w.english,
+    group: (w.group && groupNames.get(String(w.group))) || '',
+    examples: (w.examples || []).join(EXAMPLE_SEPARATOR),
+    imageUrl: w.imageUrl || ''
+  }));
+
+  const baseName = fileGroup
+    ? `words-${fileGroup.replace(/[^a-z0-9_-]+/gi, '_')}`
+    : 'words';
+
+  if (format === 'csv') {
+    const stringifier = createObjectCsvStringifier({ header: COLUMNS });
+    res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="${baseName}.csv"`);
+    // BOM so Excel opens accented Portuguese correctly
+    const safeRecords = records.map(record =>
+      Object.fromEntries(Object.entries(record).map(([key, value]) => [key, csvSafe(value)])));
+    return res.send('\uFEFF' + stringifier.getHeaderString() + stringifier.stringifyRecords(safeRecords));
+  }
+
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Words');
+  sheet.columns = COLUMNS.map(c => ({ header: c.title, key: c.id, width: c.id === 'examples' ? 60 : 25 }));
+  sheet.addRows(records);
+  sheet.getRow(1).font = { bold: true };
+
+  const buffer = await workbook.xlsx.writeBuffer();
+  res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+  res.setHeader('Content-Disposition', `attachment; filename="${baseName}.xlsx"`);
+  res.send(Buffer.from(buffer));
+}));
+
+module.exports = router;
@@ -1,3 +1,5 @@
+// Default sentence templates. Copied into the SentenceTemplate collection the
+// first time it is empty; edit them through /api/sentence-builder/templates.
 const sentenceTemplates = [
   {
     id: "svo",
@@ -57,4 +59,4 @@ const sentenceTemplates = [
   }
 ];
 
-module.exports = sentenceTemplates;
\ No newline at end of file
+module.exports = sentenceTemplates;
\ No newline at end of file
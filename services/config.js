@@ -0,0 +1,35 @@
+// services/config.js
+//
+// Runtime configuration. Defaults come from the environment; createApp()
+// (app.js) builds one config per app with its overrides applied and keeps it
+// in app.locals.config, so tests can inject their own secret and switch off
+// rate limiting without touching process.env or other apps.
+
+const path = require('path');
+
+const defaults = () => ({
+  jwtSecret: process.env.JWT_SECRET,
+  corsOrigin: process.env.CORS_ORIGIN || '*',
+  trustProxy: process.env.TRUST_PROXY,
+  uploadsDir: path.join(__dirname, '..', 'uploads'),
+  logRequests: true,
+  rateLimit: true
+});
+
+/**
+ * A new config: the defaults with overrides applied (undefined values are skipped).
+ * @param {Object} [overrides]
+ * @returns {Object}
+ */
+function createConfig(overrides = {}) {
+  const config = defaults();
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined) config[key] = value;
+  }
+  return config;
+}
+
+// The config of the app handling a request
+const configOf = (req) => req.app.locals.config;
+
+module.exports = { createConfig, configOf };
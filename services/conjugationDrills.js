@@ -0,0 +1,197 @@
+// services/conjugationDrills.js
+//
+// Drill generation and answer checking for verb conjugation practice.
+// Mastery is tracked per user per verb x tense and scheduled with the same
+// SM-2 implementation as flashcards (services/scheduler.js).
+
+const scheduler = require('./scheduler');
+const Verb = require('../models/Verb');
+
+const TENSES = Verb.TENSES;
+
+// Every stored person; drills default to the Brazilian set
+const PERSONS = Verb.PERSON_SETS.pt;
+const DEFAULT_PERSONS = Verb.PERSON_SETS.br;
+
+const TENSE_LABELS = {
+  present: 'Presente',
+  past: 'Pretérito perfeito',
+  imperfect: 'Pretérito imperfeito',
+  future: 'Futuro do presente',
+  conditional: 'Futuro do pretérito',
+  presentSubjunctive: 'Presente do subjuntivo',
+  imperfectSubjunctive: 'Pretérito imperfeito do subjuntivo',
+  imperative: 'Imperativo',
+  presentPerfect: 'Pretérito perfeito composto',
+  pluperfect: 'Pretérito mais-que-perfeito composto',
+  futurePerfect: 'Futuro do presente composto'
+};
+
+const PERSON_LABELS = {
+  eu: 'eu',
+  tu: 'tu',
+  voceEleEla: 'você/ele/ela',
+  nos: 'nós',
+  vos: 'vós',
+  vocesEles: 'vocês/eles/elas'
+};
+
+const MAX_DRILL_ITEMS = 50;
+
+// Weight of the latest result in the mastery moving average
+const MASTERY_ALPHA = 0.3;
+
+// Below this a verb x tense counts as weak even if it isn't due yet
+const WEAK_MASTERY = 0.6;
+
+const stripAccents = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '');
+
+// Lowercase, trim and collapse whitespace; accents are kept
+const normalizeAnswer = (text) => String(text || '').trim().replace(/\s+/g, ' ').toLowerCase();
+
+/**
+ * Compare a typed answer with the expected form.
+ * Accent differences are accepted unless `strict` is set; either way the
+ * result says whether accents were the only problem.
+ */
+function checkAnswer(expected, answer, { strict = false } = {}) {
+  const want = normalizeAnswer(expected);
+  const got = normalizeAnswer(answer);
+  const exact = want !== '' && want === got;
+  const accentOnly = !exact && want !== '' && stripAccents(want) === stripAccents(got);
+
+  return {
+    correct: exact || (!strict && accentOnly),
+    exact,
+    accentOnly
+  };
+}
+
+// Look up a form on a Verb document (or lean object)
+const getForm = (verb, tense, person) => {
+  const table = verb.conjugations ? verb.conjugations[tense] : null;
+  const form = table ? table[person] : null;
+  return typeof form === 'string' && form.trim() ? form.trim() : null;
+};
+
+const shuffle = (items) => {
+  const copy = items.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+const toItem = (verb, tense, person) => ({
+  verbId: verb._id,
+  verb: verb.verb,
+  english: verb.english,
+  type: verb.type,
+  tense,
+  tenseLabel: TENSE_LABELS[tense],
+  person,
+  personLabel: PERSON_LABELS[person],
+  prompt: `${PERSON_LABELS[person]} ___ (${verb.verb}, ${TENSE_LABELS[tense]})`
+});
+
+/**
+ * Build a drill from the given verbs. Answers are not included; items are
+ * graded later by (verbId, tense, person).
+ * @param {Array} verbs - Verb documents
+ * @param {object} options - { tenses, persons, count }
+ */
+function buildDrill(verbs, { tenses = TENSES, persons = DEFAULT_PERSONS, count = 10 } = {}) {
+  const candidates = [];
+  for (const verb of verbs) {
+    for (const tense of tenses) {
+      for (const person of persons) {
+        if (getForm(verb, tense, person)) candidates.push(toItem(verb, tense, person));
+      }
+    }
+  }
+  return shuffle(candidates).slice(0, Math.min(count, MAX_DRILL_ITEMS));
+}
+
+/**
+ * Build a drill from weak verb x tense pairs, favouring the persons the user
+ * got wrong before.
+ * @param {Array} masteries - ConjugationMastery documents with verbId populated
+ * @param {object} options - { persons, count }
+ */
+function buildReviewDrill(masteries, { persons = DEFAULT_PERSONS, count = 10 } = {}) {
+  const items = [];
+  const limit = Math.min(count, MAX_DRILL_ITEMS);
+
+  // Round-robin over the weak pairs so one verb doesn't fill the whole drill
+  const pools = masteries
+    .filter(m => m.verbId)
+    .map((m) => {
+      const errors = m.personErrors || new Map();
+      const errorCount = (person) => (typeof errors.get === 'function' ? errors.get(person) : errors[person]) || 0;
+      const ordered = shuffle(persons.filter(p => getForm(m.verbId, m.tense, p)))
+        .sort((a, b) => errorCount(b) - errorCount(a));
+      return ordered.map(person => toItem(m.verbId, m.tense, person));
+    })
+    .filter(pool => pool.length);
+
+  while (items.length < limit && pools.some(pool => pool.length)) {
+    for (const pool of pools) {
+      if (pool.length && items.length < limit) items.push(pool.shift());
+    }
+  }
+  return items;
+}
+
+/**
+ * Apply a graded answer to a ConjugationMastery document. Caller saves it.
+ * Exact answers count as a good review, accent-only slips as a hard pass and
+ * misses as a lapse.
+ */
+function applyResult(mastery, person, { correct, exact }, now = new Date()) {
+  const grade = exact ? 4 : correct ? 3 : 1;
+
+  const prev = mastery.reviewCount ? {
+    ease: mastery.ease,
+    interval: mastery.interval,
+    reviewCount: mastery.reviewCount,
+    repetitions: mastery.repetitions,
+    lapses: mastery.lapses,
+    stability: null,
+    difficulty: null,
+    firstReviewed: null,
+    lastReviewed: mastery.lastReviewed,
+    nextReview: mastery.nextReview
+  } : null;
+  const next = scheduler.schedule(prev, grade, { algorithm: 'sm2', now });
+
+  mastery.attempts += 1;
+  if (correct) mastery.correct += 1;
+  else mastery.personErrors.set(person, (mastery.personErrors.get(person) || 0) + 1);
+  mastery.mastery = (1 - MASTERY_ALPHA) * mastery.mastery + MASTERY_ALPHA * (correct ? 1 : 0);
+
+  mastery.ease = next.ease;
+  mastery.interval = next.interval;
+  mastery.reviewCount = next.reviewCount;
+  mastery.repetitions = next.repetitions;
+  mastery.lapses = next.lapses;
+  mastery.lastReviewed = next.lastReviewed;
+  mastery.nextReview = next.nextReview;
+
+  return { grade, mastery };
+}
+
+module.exports = {
+  TENSES,
+  PERSONS,
+  DEFAULT_PERSONS,
+  TENSE_LABELS,
+  PERSON_LABELS,
+  MAX_DRILL_ITEMS,
+  WEAK_MASTERY,
+  checkAnswer,
+  getForm,
+  buildDrill,
+  buildReviewDrill,
+  applyResult
+};
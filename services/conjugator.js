@@ -0,0 +1,334 @@
+// services/conjugator.js
+//
+// Generates conjugation tables for regular -ar/-er/-ir verbs, including the
+// common spelling changes (-car, -gar, -çar, -cer, -ger/-gir, -guer/-guir) and
+// predictable stem changes (-ear, e->i / o->u / u->o in -ir verbs, -uir, -zir).
+// Truly irregular verbs are recognised and flagged for manual entry instead.
+//
+// Forms follow Brazilian spelling (e.g. nós falamos in the past tense).
+
+const Verb = require('../models/Verb');
+
+const PERSONS = Verb.PERSON_SETS.pt; // eu, tu, voceEleEla, nos, vos, vocesEles
+
+// Verbs (and families) whose forms can't be derived from the rules below
+const IRREGULAR_VERBS = new Set([
+  'ser', 'estar', 'ter', 'haver', 'ir', 'vir', 'fazer', 'dizer', 'trazer', 'poder',
+  'querer', 'saber', 'caber', 'ver', 'dar', 'ler', 'crer', 'rir', 'sorrir', 'ouvir',
+  'pedir', 'medir', 'perder', 'valer', 'polir', 'prover', 'requerer', 'frigir',
+  'progredir', 'agredir', 'transgredir', 'prevenir', 'aguar', 'enxaguar', 'averiguar',
+  'mobiliar', 'impedir', 'despedir', 'expedir', 'reler', 'descrer', 'desaguar',
+  // ter / vir / ver compounds
+  'manter', 'obter', 'conter', 'deter', 'reter', 'entreter', 'abster', 'ater', 'suster',
+  'convir', 'intervir', 'provir', 'advir', 'prever', 'rever', 'antever',
+  // -fazer / -dizer / -trazer families are caught by suffix below
+  'construir', 'destruir', 'reconstruir', 'obstruir'
+]);
+
+const IRREGULAR_SUFFIXES = ['fazer', 'dizer', 'por', 'pôr', 'air', 'oer'];
+
+// Regular paradigm but irregular past participle
+const IRREGULAR_PARTICIPLES = {
+  abrir: 'aberto',
+  cobrir: 'coberto',
+  descobrir: 'descoberto',
+  encobrir: 'encoberto',
+  escrever: 'escrito',
+  descrever: 'descrito',
+  inscrever: 'inscrito'
+};
+
+// e -> i in the first person present (and so the whole present subjunctive)
+const E_TO_I_VERBS = new Set([
+  'sentir', 'consentir', 'ressentir', 'mentir', 'desmentir', 'servir', 'preferir',
+  'referir', 'conferir', 'transferir', 'inferir', 'interferir', 'ferir', 'aderir',
+  'sugerir', 'digerir', 'vestir', 'investir', 'revestir', 'seguir', 'conseguir',
+  'perseguir', 'prosseguir', 'repetir', 'competir', 'divertir', 'advertir',
+  'convergir', 'divergir', 'despir', 'refletir'
+]);
+
+// o -> u in the first person present (and so the whole present subjunctive)
+const O_TO_U_VERBS = new Set(['dormir', 'cobrir', 'descobrir', 'encobrir', 'tossir', 'engolir']);
+
+// u -> o in tu/ele/eles present (subir: sobes, sobe, sobem)
+const U_TO_O_VERBS = new Set(['subir', 'fugir', 'sacudir', 'acudir', 'consumir', 'sumir', 'cuspir', 'entupir']);
+
+// -iar verbs conjugated like -ear (odiar: odeio)
+const MARIO_VERBS = new Set(['mediar', 'intermediar', 'ansiar', 'remediar', 'incendiar', 'odiar']);
+
+const ENDINGS = {
+  ar: {
+    present: ['o', 'as', 'a', 'amos', 'ais', 'am'],
+    past: ['ei', 'aste', 'ou', 'amos', 'astes', 'aram'],
+    imperfect: ['ava', 'avas', 'ava', 'ávamos', 'áveis', 'avam'],
+    presentSubjunctive: ['e', 'es', 'e', 'emos', 'eis', 'em']
+  },
+  er: {
+    present: ['o', 'es', 'e', 'emos', 'eis', 'em'],
+    past: ['i', 'este', 'eu', 'emos', 'estes', 'eram'],
+    imperfect: ['ia', 'ias', 'ia', 'íamos', 'íeis', 'iam'],
+    presentSubjunctive: ['a', 'as', 'a', 'amos', 'ais', 'am']
+  },
+  ir: {
+    present: ['o', 'es', 'e', 'imos', 'is', 'em'],
+    past: ['i', 'iste', 'iu', 'imos', 'istes', 'iram'],
+    imperfect: ['ia', 'ias', 'ia', 'íamos', 'íeis', 'iam'],
+    presentSubjunctive: ['a', 'as', 'a', 'amos', 'ais', 'am']
+  },
+  // -uir: hiatus i takes an accent when stressed (incluímos, incluía)
+  uir: {
+    present: ['o', 'is', 'i', 'ímos', 'ís', 'em'],
+    past: ['í', 'íste', 'iu', 'ímos', 'ístes', 'íram'],
+    imperfect: ['ía', 'ías', 'ía', 'íamos', 'íeis', 'íam'],
+    presentSubjunctive: ['a', 'as', 'a', 'amos', 'ais', 'am']
+  }
+};
+
+const FUTURE_ENDINGS = ['ei', 'ás', 'á', 'emos', 'eis', 'ão'];
+const CONDITIONAL_ENDINGS = ['ia', 'ias', 'ia', 'íamos', 'íeis', 'iam'];
+const IMPERFECT_SUBJUNCTIVE_ENDINGS = ['sse', 'sses', 'sse', 'ssemos', 'sseis', 'ssem'];
+
+const AUXILIARY = {
+  presentPerfect: ['tenho', 'tens', 'tem', 'temos', 'tendes', 'têm'],
+  pluperfect: ['tinha', 'tinhas', 'tinha', 'tínhamos', 'tínheis', 'tinham'],
+  futurePerfect: ['terei', 'terás', 'terá', 'teremos', 'tereis', 'terão']
+};
+
+const ACCENTED = { a: 'á', e: 'ê', i: 'í' };
+
+const normalizeInfinitive = (infinitive) => String(infinitive || '').trim().toLowerCase();
+
+// Detect the spelling rule that applies to the final stem consonant
+function spellingRule(infinitive) {
+  if (/car$/.test(infinitive)) return 'car';
+  if (/gar$/.test(infinitive)) return 'gar';
+  if (/çar$/.test(infinitive)) return 'çar';
+  if (/cer$|cir$/.test(infinitive)) return 'cer';
+  if (/ger$|gir$/.test(infinitive)) return 'ger';
+  if (/guer$|guir$/.test(infinitive)) return 'guir';
+  return null;
+}
+
+// Attach an ending to a stem, applying spelling changes so the stem keeps its sound
+function attach(stem, ending, rule) {
+  const first = ending.charAt(0);
+  const beforeE = 'eéê'.includes(first);
+  const backVowel = 'aáâoóôuú'.includes(first);
+
+  switch (rule) {
+    case 'car':
+      if (beforeE) return stem.slice(0, -1) + 'qu' + ending;
+      break;
+    case 'gar':
+      if (beforeE) return stem + 'u' + ending;
+      break;
+    case 'çar':
+      if (beforeE) return stem.slice(0, -1) + 'c' + ending;
+      break;
+    case 'cer':
+      if (backVowel) return stem.slice(0, -1) + 'ç' + ending;
+      break;
+    case 'ger':
+      if (backVowel) return stem.slice(0, -1) + 'j' + ending;
+      break;
+    case 'guir':
+      if (backVowel) return stem.slice(0, -1) + ending;
+      break;
+    default:
+      break;
+  }
+  return stem + ending;
+}
+
+// Replace the last occurrence of `from` in the stem
+const changeLastVowel = (stem, from, to) => {
+  const idx = stem.lastIndexOf(from);
+  return idx === -1 ? stem : stem.slice(0, idx) + to + stem.slice(idx + 1);
+};
+
+/**
+ * Classify an infinitive.
+ * @returns {{ infinitive, valid, irregular, pattern, reason? }}
+ */
+function classify(input) {
+  const infinitive = normalizeInfinitive(input);
+
+  if (!/^[a-zà-ÿç]+(ar|er|ir|ôr|or)$/.test(infinitive) || infinitive.length < 3) {
+    return { infinitive, valid: false, irregular: false, pattern: null, reason: 'Not a Portuguese infinitive' };
+  }
+  if (IRREGULAR_VERBS.has(infinitive) ||
+      IRREGULAR_SUFFIXES.some(suffix => infinitive.endsWith(suffix)) ||
+      /(trazer|truir)$/.test(infinitive)) {
+    return { infinitive, valid: true, irregular: true, pattern: 'irregular', reason: 'Irregular verb; enter forms manually' };
+  }
+
+  const ending = infinitive.slice(-2);
+  let pattern = spellingRule(infinitive) ? `-${spellingRule(infinitive)}` : `-${ending}`;
+
+  if (ending === 'ar' && (infinitive.endsWith('ear') || MARIO_VERBS.has(infinitive))) pattern = '-ear';
+  else if (infinitive.endsWith('uir') && !infinitive.endsWith('guir') && !infinitive.endsWith('quir')) pattern = '-uir';
+  else if (infinitive.endsWith('zir')) pattern = '-zir';
+  else if (E_TO_I_VERBS.has(infinitive)) pattern = 'e>i';
+  else if (O_TO_U_VERBS.has(infinitive)) pattern = 'o>u';
+  else if (U_TO_O_VERBS.has(infinitive)) pattern = 'u>o';
+
+  return { infinitive, valid: true, irregular: false, pattern };
+}
+
+/**
+ * Generate every tense for a regular (or predictably stem-changing) verb.
+ * @param {string} input - infinitive, e.g. "falar"
+ * @returns {{
+ *   verb, valid, irregular, type, pattern, reason?,
+ *   participle?, gerund?, conjugations?
+ * }}
+ */
+function conjugate(input) {
+  const info = classify(input);
+  if (!info.valid || info.irregular) {
+    return { verb: info.infinitive, ...info, type: info.irregular ? 'irregular' : null };
+  }
+
+  const infinitive = info.infinitive;
+  const { pattern } = info;
+  const ending = infinitive.slice(-2);
+  const stem = infinitive.slice(0, -2);
+  const rule = spellingRule(infinitive);
+  const endings = pattern === '-uir' ? ENDINGS.uir : ENDINGS[ending];
+  const thematic = ending.charAt(0); // a, e, i
+
+  // Stressed-stem forms (eu, tu, ele, eles) in the present and present subjunctive
+  const STRESSED = [0, 1, 2, 5];
+
+  const present = endings.present.map((end, i) => {
+    let s = stem;
+    if (pattern === '-ear' && STRESSED.includes(i)) {
+      s = MARIO_VERBS.has(infinitive) ? stem.slice(0, -1) + 'ei' : stem + 'i';
+    } else if (pattern === 'e>i' && i === 0) {
+      s = changeLastVowel(stem, 'e', 'i');
+    } else if (pattern === 'o>u' && i === 0) {
+      s = changeLastVowel(stem, 'o', 'u');
+    } else if (pattern === 'u>o' && [1, 2, 5].includes(i)) {
+      s = changeLastVowel(stem, 'u', 'o');
+    }
+    if (pattern === '-zir' && i === 2) return s;
+    return attach(s, end, rule);
+  });
+
+  // Present subjunctive is built on the eu stem (falo -> fal-, sinto -> sint-)
+  const subjunctiveStem = (() => {
+    if (pattern === 'e>i') return changeLastVowel(stem, 'e', 'i');
+    if (pattern === 'o>u') return changeLastVowel(stem, 'o', 'u');
+    return stem;
+  })();
+  const presentSubjunctive = endings.presentSubjunctive.map((end, i) => {
+    let s = subjunctiveStem;
+    if (pattern === '-ear' && STRESSED.includes(i)) {
+      s = MARIO_VERBS.has(infinitive) ? stem.slice(0, -1) + 'ei' : stem + 'i';
+    }
+    return attach(s, end, rule);
+  });
+
+  const past = endings.past.map(end => attach(stem, end, rule));
+  const imperfect = endings.imperfect.map(end => attach(stem, end, rule));
+  const future = FUTURE_ENDINGS.map(end => infinitive + end);
+  const conditional = CONDITIONAL_ENDINGS.map(end => infinitive + end);
+
+  // Imperfect subjunctive: 3rd plural preterite minus -ram, accent on nós/vós
+  const pastBase = past[5].slice(0, -3);
+  const imperfectSubjunctive = IMPERFECT_SUBJUNCTIVE_ENDINGS.map((end, i) => {
+    if (i !== 3 && i !== 4) return pastBase + end;
+    const last = pastBase.slice(-1);
+    return pastBase.slice(0, -1) + (ACCENTED[last] || last) + end;
+  });
+
+  // Affirmative imperative: tu/vós from the present, the rest from the subjunctive
+  const imperative = [
+    '',
+    present[2],
+    presentSubjunctive[2],
+    presentSubjunctive[3],
+    present[4].replace(/s$/, ''),
+    presentSubjunctive[5]
+  ];
+
+  const participle = IRREGULAR_PARTICIPLES[infinitive] ||
+    (ending === 'ar' ? `${stem}ado` : pattern === '-uir' ? `${stem}ído` : `${stem}ido`);
+
+  const tables = {
+    present,
+    past,
+    imperfect,
+    future,
+    conditional,
+    presentSubjunctive,
+    imperfectSubjunctive,
+    imperative
+  };
+  for (const [tense, auxiliary] of Object.entries(AUXILIARY)) {
+    tables[tense] = auxiliary.map(aux => `${aux} ${participle}`);
+  }
+
+  const conjugations = {};
+  for (const [tense, forms] of Object.entries(tables)) {
+    conjugations[tense] = {};
+    PERSONS.forEach((person, i) => {
+      if (forms[i]) conjugations[tense][person] = forms[i];
+    });
+  }
+
+  const stemChanging = ['-ear', 'e>i', 'o>u', 'u>o', '-zir'].includes(pattern);
+
+  return {
+    verb: infinitive,
+    valid: true,
+    irregular: false,
+    type: stemChanging ? 'irregular' : 'regular',
+    pattern,
+    participle,
+    gerund: `${stem}${pattern === '-uir' ? 'i' : thematic}ndo`,
+    conjugations
+  };
+}
+
+/**
+ * Fill forms missing from `provided` with generated ones.
+ * Provided forms always win. Returns { conjugations, filled } where filled
+ * lists the "tense.person" keys that were generated.
+ */
+function fillMissing(provided = {}, generated = {}) {
+  const conjugations = {};
+  const filled = [];
+
+  for (const tense of Verb.TENSES) {
+    const given = (provided && provided[tense]) || {};
+    const auto = generated[tense] || {};
+    conjugations[tense] = {};
+    for (const person of PERSONS) {
+      const value = typeof given[person] === 'string' ? given[person].trim() : '';
+      if (value) {
+        conjugations[tense][person] = value;
+      } else if (auto[person]) {
+        conjugations[tense][person] = auto[person];
+        filled.push(`${tense}.${person}`);
+      }
+    }
+  }
+
+  return { conjugations, filled };
+}
+
+// "tense.person" keys with no form (ignoring the eu imperative, which doesn't exist)
+function listMissing(conjugations = {}, persons = PERSONS) {
+  const missing = [];
+  for (const tense of Verb.TENSES) {
+    for (const person of persons) {
+      if (tense === 'imperative' && person === 'eu') continue;
+      const value = conjugations[tense] && conjugations[tense][person];
+      if (!value || !String(value).trim()) missing.push(`${tense}.${person}`);
+    }
+  }
+  return missing;
+}
+
+module.exports = { classify, conjugate, fillMissing, listMissing };
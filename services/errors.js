@@ -0,0 +1,155 @@
+// services/errors.js
+//
+// Error classes, the async route wrapper and the error middleware.
+//
+// Every error response uses one envelope:
+//   { error: 'Human readable message', code: 'NOT_FOUND', details?: ... }
+// `code` is stable and meant for clients to switch on; `error` may change.
+
+const mongoose = require('mongoose');
+
+// Default code for each status, used when a handler only sets a status
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  423: 'LOCKED',
+  429: 'RATE_LIMITED',
+  500: 'INTERNAL_ERROR'
+};
+
+const codeForStatus = (status) => STATUS_CODES[status] || (status >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+
+class AppError extends Error {
+  constructor(message, { status = 500, code = codeForStatus(status), details } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    if (details !== undefined) this.details = details;
+  }
+}
+
+class BadRequestError extends AppError {
+  constructor(message = 'Bad request', options = {}) {
+    super(message, { status: 400, ...options });
+  }
+}
+
+// details: [{ field, message }]
+class ValidationError extends AppError {
+  constructor(details = [], message = 'Validation failed') {
+    super(message, { status: 400, code: 'VALIDATION_ERROR', details });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message = 'Authentication required', options = {}) {
+    super(message, { status: 401, ...options });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message = 'You do not have permission to perform this action', options = {}) {
+    super(message, { status: 403, ...options });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message = 'Not found', options = {}) {
+    super(message, { status: 404, ...options });
+  }
+}
+
+class ConflictError extends AppError {
+  constructor(message = 'Resource already exists', options = {}) {
+    super(message, { status: 409, ...options });
+  }
+}
+
+/**
+ * Wrap an async route handler so rejections reach the error middleware.
+ */
+const asyncHandler = (fn) => (req, res, next) => Promise.resolve(fn(req, res, next)).catch(next);
+
+const envelope = (message, code, details) => (details === undefined ? { error: message, code } : { error: message, code, details });
+
+// Anything thrown -> AppError. Unknown errors become a generic 500 so internals don't leak.
+function toAppError(err) {
+  if (err instanceof AppError) return err;
+
+  // Malformed ids can't match a document
+  if (err instanceof mongoose.Error.CastError) {
+    return new NotFoundError('Resource not found', { details: { field: err.path } });
+  }
+  if (err instanceof mongoose.Error.ValidationError) {
+    return new ValidationError(Object.values(err.errors).map(e => ({
+      field: e.path,
+      message: e.name === 'CastError' ? `${e.path} has an invalid value` : e.message
+    })));
+  }
+  if (err && err.code === 11000) {
+    const fields = Object.keys(err.keyValue || err.keyPattern || {});
+    return new ConflictError(fields.length ? `A record with this ${fields.join(', ')} already exists` : 'Resource already exists', {
+      details: { fields }
+    });
+  }
+  // body-parser / http-errors style errors (malformed JSON, payload too large, ...)
+  const status = err && (err.status || err.statusCode);
+  if (status >= 400 && status < 500) {
+    const message = err.type === 'entity.parse.failed' ? 'Malformed JSON body' : err.message;
+    return new AppError(message, { status });
+  }
+  return null;
+}
+
+/**
+ * Final error middleware: sends the envelope.
+ */
+function errorHandler(err, req, res, next) {
+  if (res.headersSent) return next(err);
+
+  const appError = toAppError(err);
+  if (!appError) {
+    console.error('Unhandled error:', err);
+    return res.status(500).json(envelope('Internal server error', 'INTERNAL_ERROR'));
+  }
+  if (appError.status >= 500) console.error('Server error:', err);
+  res.status(appError.status).json(envelope(appError.message, appError.code, appError.details));
+}
+
+/**
+ * Middleware adding `code` to error bodies that handlers send directly
+ * (res.status(404).json({ error })), so every error response has one.
+ */
+function errorCodes(req, res, next) {
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && body.error && !body.code) {
+      body = { ...body, code: codeForStatus(res.statusCode) };
+    }
+    return json(body);
+  };
+  next();
+}
+
+// Catch-all for unmatched routes
+const notFoundHandler = (req, res) => res.status(404).json(envelope('Route not found', 'NOT_FOUND'));
+
+module.exports = {
+  AppError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  asyncHandler,
+  errorHandler,
+  errorCodes,
+  notFoundHandler,
+  codeForStatus
+};
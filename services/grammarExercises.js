@@ -0,0 +1,160 @@
+// services/grammarExercises.js
+//
+// Serving and grading the exercises embedded in grammar lessons
+// (GrammarLesson.exercises). Answers never leave the server; learners get
+// them back only with graded results.
+//
+// Grading by exercise type:
+//   multiple-choice  the chosen option (text or index) must equal correctAnswer
+//   fill-blank       normalized text comparison
+//   translation      normalized text comparison
+//   sentence-order   the answer's tokens must match correctAnswer's in order
+// Normalizing lowercases, drops punctuation and collapses whitespace; accents
+// are kept because they change meaning in Portuguese. fill-blank and
+// translation answers may list alternatives separated by "|" ("sou|estou").
+
+const crypto = require('crypto');
+
+// Best score (0-100) that marks a lesson as completed
+const PASS_SCORE = 80;
+
+const ALTERNATIVE_SEPARATOR = '|';
+
+const normalizeText = (value) => String(value ?? '')
+  .normalize('NFC')
+  .toLowerCase()
+  .replace(/[.,!?;:¡¿"“”«»()[\]]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+const tokenize = (value) => {
+  const text = Array.isArray(value) ? value.map(normalizeText).join(' ') : normalizeText(value);
+  return text ? text.split(' ') : [];
+};
+
+const shuffle = (items) => {
+  const copy = [...items];
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = crypto.randomInt(i + 1);
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+};
+
+/**
+ * An exercise as sent to learners: no correctAnswer or explanation.
+ * Sentence-order exercises without options get the answer's tokens shuffled.
+ */
+function toPublicExercise(exercise) {
+  const obj = typeof exercise.toObject === 'function' ? exercise.toObject() : { ...exercise };
+  const { correctAnswer, explanation, ...rest } = obj;
+  if (rest.type === 'sentence-order') {
+    rest.tokens = rest.options && rest.options.length ? shuffle(rest.options) : shuffle(tokenize(correctAnswer));
+  }
+  return rest;
+}
+
+/**
+ * A lesson without exercise answers.
+ */
+function toPublicLesson(lesson) {
+  const obj = typeof lesson.toObject === 'function' ? lesson.toObject() : { ...lesson };
+  obj.exercises = (obj.exercises || []).map(toPublicExercise);
+  return obj;
+}
+
+// Option text for a multiple-choice answer given as text or option index
+function chosenOption(exercise, answer) {
+  const options = exercise.options || [];
+  if (Number.isInteger(answer) || (typeof answer === 'string' && /^\d+$/.test(answer.trim()) && !options.includes(answer.trim()))) {
+    const option = options[Number(answer)];
+    return option === undefined ? null : option;
+  }
+  return answer;
+}
+
+// correctAnswer for multiple choice may also be stored as an option index
+function expectedOption(exercise) {
+  const options = exercise.options || [];
+  const expected = String(exercise.correctAnswer ?? '').trim();
+  if (/^\d+$/.test(expected) && !options.includes(expected) && options[Number(expected)] !== undefined) {
+    return options[Number(expected)];
+  }
+  return expected;
+}
+
+/**
+ * Grade one exercise.
+ * @returns {{ correct: boolean, expected: string }} expected = the answer to show the learner
+ */
+function gradeExercise(exercise, answer) {
+  const unanswered = answer === undefined || answer === null || answer === '' || (Array.isArray(answer) && !answer.length);
+
+  switch (exercise.type) {
+    case 'multiple-choice': {
+      const expected = expectedOption(exercise);
+      const chosen = unanswered ? null : chosenOption(exercise, answer);
+      return { correct: chosen !== null && normalizeText(chosen) === normalizeText(expected), expected };
+    }
+    case 'sentence-order': {
+      const expected = String(exercise.correctAnswer ?? '');
+      return { correct: !unanswered && tokenize(answer).join(' ') === tokenize(expected).join(' '), expected };
+    }
+    default: {
+      // fill-blank, translation (and exercises saved without a type)
+      const alternatives = String(exercise.correctAnswer ?? '').split(ALTERNATIVE_SEPARATOR).map(normalizeText).filter(Boolean);
+      const given = Array.isArray(answer) ? answer.join(' ') : answer;
+      return {
+        correct: !unanswered && alternatives.includes(normalizeText(given)),
+        expected: String(exercise.correctAnswer ?? '').split(ALTERNATIVE_SEPARATOR)[0].trim()
+      };
+    }
+  }
+}
+
+/**
+ * Normalize submitted answers into a Map of exerciseId -> answer.
+ * Accepts an array of answers in exercise order, or an array of
+ * { exerciseId, answer } objects.
+ */
+function normalizeAnswers(lesson, answers) {
+  const selected = new Map();
+  answers.forEach((item, idx) => {
+    if (item !== null && typeof item === 'object' && !Array.isArray(item)) {
+      if (item.exerciseId !== undefined) selected.set(String(item.exerciseId), item.answer);
+    } else if (lesson.exercises[idx]) {
+      selected.set(String(lesson.exercises[idx]._id), item);
+    }
+  });
+  return selected;
+}
+
+/**
+ * Grade every exercise of a lesson. Unanswered exercises count as wrong.
+ * @returns {{ results: Array, correctCount: number, exerciseCount: number, score: number }}
+ */
+function gradeLesson(lesson, answers) {
+  const selected = normalizeAnswers(lesson, answers);
+
+  const results = lesson.exercises.map((exercise) => {
+    const answer = selected.has(String(exercise._id)) ? selected.get(String(exercise._id)) : null;
+    const { correct, expected } = gradeExercise(exercise, answer);
+    return {
+      exerciseId: exercise._id,
+      type: exercise.type,
+      question: exercise.question,
+      answer,
+      correct,
+      correctAnswer: expected,
+      explanation: exercise.explanation || ''
+    };
+  });
+
+  const correctCount = results.filter(r => r.correct).length;
+  const exerciseCount = results.length;
+  const score = exerciseCount ? Math.round((correctCount / exerciseCount) * 100) : 0;
+
+  return { results, correctCount, exerciseCount, score };
+}
+
+module.exports = { PASS_SCORE, normalizeText, tokenize, toPublicExercise, toPublicLesson, gradeExercise, gradeLesson };
@@ -0,0 +1,67 @@
+// services/groups.js
+//
+// Lookups shared by the routes that take a group from the client. A group can
+// be referred to by id or, for older clients and spreadsheet imports, by name.
+
+const Group = require('../models/Group');
+const { isValidObjectId } = require('./validation');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Words without a group used to get this name; it now means ungrouped (null)
+const LEGACY_DEFAULT_GROUP = 'Other';
+
+// Case-insensitive exact match on the group name
+const nameMatch = (name) => ({ $regex: new RegExp(`^${escapeRegex(name.trim())}$`, 'i') });
+
+/**
+ * Find a group by id or name.
+ * @param {string} ref
+ * @returns {Promise<Object|null>} the group (lean) or null
+ */
+async function findGroup(ref) {
+  if (typeof ref !== 'string' || !ref.trim()) return null;
+  if (isValidObjectId(ref)) {
+    const byId = await Group.findById(ref).lean();
+    if (byId) return byId;
+  }
+  return Group.findOne({ name: nameMatch(ref) }).lean();
+}
+
+/**
+ * Map group names to ids, creating the groups that don't exist yet.
+ * @param {string[]} names
+ * @param {Object} [options] - { create: false } only looks up (for dry runs)
+ * @returns {Promise<{ ids: Map<string, ObjectId>, created: string[] }>} ids keyed by lowercased name
+ */
+async function idsForNames(names, { create = true } = {}) {
+  const unique = [...new Map(names.filter(Boolean).map(n => [n.toLowerCase(), n])).values()];
+  const existing = await Group.find().select('name').lean();
+  const ids = new Map(existing.map(g => [g.name.toLowerCase(), g._id]));
+
+  const missing = unique.filter(name => !ids.has(name.toLowerCase()));
+  if (create && missing.length) {
+    const last = await Group.findOne({ parent: null }).sort({ order: -1 }).select('order').lean();
+    const start = last ? last.order + 1 : 0;
+    const groups = await Group.insertMany(missing.map((name, idx) => ({ name, order: start + idx })));
+    groups.forEach(g => ids.set(g.name.toLowerCase(), g._id));
+  }
+  return { ids, created: missing };
+}
+
+/**
+ * Whether making `parentId` the parent of `groupId` would put the group inside itself.
+ */
+async function createsCycle(groupId, parentId) {
+  const seen = new Set();
+  let current = parentId ? String(parentId) : null;
+  while (current && !seen.has(current)) {
+    if (current === String(groupId)) return true;
+    seen.add(current);
+    const group = await Group.findById(current).select('parent').lean();
+    current = group && group.parent ? String(group.parent) : null;
+  }
+  return false;
+}
+
+module.exports = { LEGACY_DEFAULT_GROUP, findGroup, idsForNames, createsCycle };
@@ -0,0 +1,42 @@
+// services/imageSearch.js
+//
+// Looks up an illustrative image for a word. Uses the Unsplash search API when
+// UNSPLASH_ACCESS_KEY is set; otherwise (or on any failure) resolves to null so
+// creating a word never fails because of image lookup.
+
+const UNSPLASH_SEARCH_URL = 'https://api.unsplash.com/search/photos';
+const SEARCH_TIMEOUT_MS = 5000;
+
+/**
+ * @param {string} query - word to search for (Portuguese is fine; Unsplash handles it)
+ * @returns {Promise<string|null>} image URL or null
+ */
+async function searchImages(query) {
+  const accessKey = process.env.UNSPLASH_ACCESS_KEY;
+  if (!accessKey || !query) return null;
+
+  const url = `${UNSPLASH_SEARCH_URL}?${new URLSearchParams({
+    query,
+    per_page: '1',
+    orientation: 'squarish',
+    content_filter: 'high'
+  })}`;
+
+  try {
+    const response = await fetch(url, {
+      headers: { Authorization: `Client-ID ${accessKey}`, 'Accept-Version': 'v1' },
+      signal: AbortSignal.timeout(SEARCH_TIMEOUT_MS)
+    });
+    if (!response.ok) {
+      console.error(`Image search failed for "${query}": HTTP ${response.status}`);
+      return null;
+    }
+    const data = await response.json();
+    return data?.results?.[0]?.urls?.small || null;
+  } catch (err) {
+    console.error(`Image search failed for "${query}":`, err.message);
+    return null;
+  }
+}
+
+module.exports = { searchImages };
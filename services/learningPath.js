@@ -0,0 +1,209 @@
+// services/learningPath.js
+//
+// Learning path status and stage advancement.
+//
+// A stage (models/LearningStage.js) is unlocked once the stages it follows are
+// completed, and completed when the learner meets its criteria:
+//  - at least criteria.wordMaturity of the words in its groups are mature, and
+//  - every test in it has a best attempt of at least criteria.minTestScore.
+// Grammar lessons and stories are listed as stage content but don't count
+// towards completion. A stage with no words and no tests completes as soon as
+// it unlocks. Completed stages stay completed even if cards later lapse.
+//
+// advance() is called after reviews, test attempts and grammar attempts; it
+// completes every unlocked stage whose criteria are met and moves currentStage
+// to the first stage still open. It is the only writer of progress.learningPath, so
+// completedStages can be trusted: clients can't set it through
+// PUT /api/auth/progress, and test scores come from TestAttempt.
+
+const mongoose = require('mongoose');
+const LearningStage = require('../models/LearningStage');
+const Word = require('../models/Word');
+const User = require('../models/User');
+const TestAttempt = require('../models/TestAttempt');
+const scheduler = require('./scheduler');
+
+const activeStages = () => LearningStage.find({ isActive: true }).sort({ order: 1, key: 1 }).lean();
+
+// Keys a stage waits for: its unlockAfter list, or the stage before it
+const prerequisitesOf = (stage, idx, stages) => {
+  if (stage.unlockAfter && stage.unlockAfter.length) return stage.unlockAfter;
+  return idx > 0 ? [stages[idx - 1].key] : [];
+};
+
+/**
+ * Words and best test scores for a set of stages.
+ * @returns {Promise<{ wordsByGroup: Map<string, Array>, bestScores: Map<string, number> }>}
+ */
+async function loadContext(userId, stages) {
+  const groupIds = [...new Set(stages.flatMap(s => (s.groups || []).map(String)))];
+  const testIds = [...new Set(stages.flatMap(s => (s.tests || []).map(String)))];
+
+  const [words, scores] = await Promise.all([
+    groupIds.length ? Word.find({ group: { $in: groupIds } }).select('group').lean() : [],
+    testIds.length
+      ? TestAttempt.aggregate([
+        {
+          $match: {
+            userId: new mongoose.Types.ObjectId(String(userId)),
+            testId: { $in: testIds.map(id => new mongoose.Types.ObjectId(id)) }
+          }
+        },
+        { $group: { _id: '$testId', bestScore: { $max: '$score' } } }
+      ])
+      : []
+  ]);
+
+  const wordsByGroup = new Map();
+  for (const word of words) {
+    const key = String(word.group);
+    if (!wordsByGroup.has(key)) wordsByGroup.set(key, []);
+    wordsByGroup.get(key).push(word);
+  }
+  return { wordsByGroup, bestScores: new Map(scores.map(row => [String(row._id), row.bestScore])) };
+}
+
+/**
+ * Measure a user's progress against a stage's criteria.
+ * @returns {{ words: Object, tests: Array, criteriaMet: boolean }}
+ */
+function evaluateStage(stage, user, { wordsByGroup, bestScores }) {
+  const criteria = stage.criteria || {};
+  const requiredMaturity = criteria.wordMaturity ?? 0.8;
+  const minTestScore = criteria.minTestScore ?? 80;
+
+  const words = (stage.groups || []).flatMap(groupId => wordsByGroup.get(String(groupId)) || []);
+  const mature = words.filter(word => scheduler.classifyCard(scheduler.getProgress(user, word._id)) === 'mature').length;
+  const maturity = words.length ? mature / words.length : 1;
+
+  const tests = (stage.tests || []).map(testId => {
+    const bestScore = bestScores.has(String(testId)) ? bestScores.get(String(testId)) : null;
+    return { testId, bestScore, passed: bestScore !== null && bestScore >= minTestScore };
+  });
+
+  return {
+    words: { total: words.length, mature, maturity, required: requiredMaturity },
+    tests,
+    minTestScore,
+    criteriaMet: maturity >= requiredMaturity && tests.every(t => t.passed)
+  };
+}
+
+/**
+ * Status of every stage for a user, in path order.
+ * @param {Array} stages - lean stages sorted by order
+ * @param {string[]} completedKeys
+ * @returns {Array<{ stage, status: 'locked'|'unlocked'|'completed' }>}
+ */
+function stageStatuses(stages, completedKeys) {
+  const completed = new Set(completedKeys);
+  return stages.map((stage, idx) => {
+    if (completed.has(stage.key)) return { stage, status: 'completed' };
+    const unlocked = prerequisitesOf(stage, idx, stages).every(key => completed.has(key));
+    return { stage, status: unlocked ? 'unlocked' : 'locked' };
+  });
+}
+
+// First stage that isn't completed yet (unlocked before locked), or the last stage when all are done
+const pickCurrentStage = (statuses) => {
+  const open = statuses.find(s => s.status === 'unlocked') || statuses.find(s => s.status === 'locked');
+  const stage = open ? open.stage : statuses.length ? statuses[statuses.length - 1].stage : null;
+  return stage ? stage.key : null;
+};
+
+/**
+ * Complete every unlocked stage whose criteria are met. Completing a stage can
+ * unlock the next one, which is checked in turn.
+ * @param {Object} user - user document (hydrated or lean) including progress
+ * @returns {Promise<{ completed: string[], currentStage: string|null }>} completed = stage keys newly completed
+ */
+async function advance(user) {
+  const stages = await activeStages();
+  const learningPath = (user.progress && user.progress.learningPath) || {};
+  const completedKeys = [...(learningPath.completedStages || [])];
+  const newlyCompleted = [];
+
+  let candidates = stageStatuses(stages, completedKeys).filter(s => s.status === 'unlocked');
+  const context = candidates.length ? await loadContext(user._id, stages) : null;
+
+  while (candidates.length) {
+    const passed = candidates.filter(({ stage }) => evaluateStage(stage, user, context).criteriaMet);
+    if (!passed.length) break;
+    for (const { stage } of passed) {
+      completedKeys.push(stage.key);
+      newlyCompleted.push(stage.key);
+    }
+    candidates = stageStatuses(stages, completedKeys).filter(s => s.status === 'unlocked');
+  }
+
+  const currentStage = pickCurrentStage(stageStatuses(stages, completedKeys)) || learningPath.currentStage || null;
+  if (newlyCompleted.length || currentStage !== learningPath.currentStage) {
+    // $addToSet keeps concurrent reviews from recording a stage twice
+    await User.updateOne({ _id: user._id }, {
+      $addToSet: { 'progress.learningPath.completedStages': { $each: newlyCompleted } },
+      $set: { 'progress.learningPath.currentStage': currentStage }
+    });
+  }
+  return { completed: newlyCompleted, currentStage };
+}
+
+/**
+ * advance() for the routes that record progress: a failure is logged and
+ * doesn't fail the review or attempt that triggered it.
+ * @returns {Promise<{ completed: string[], currentStage: string|null }|null>}
+ */
+async function advanceAfterActivity(user) {
+  try {
+    return await advance(user);
+  } catch (err) {
+    console.error('Learning path advancement error:', err);
+    return null;
+  }
+}
+
+/**
+ * The user's path: every active stage with its status and progress.
+ * @param {Object} user - lean user with progress
+ */
+async function getPath(user) {
+  const stages = await LearningStage.find({ isActive: true })
+    .sort({ order: 1, key: 1 })
+    .populate('groups', 'name icon level')
+    .populate('grammarLessons', 'title difficulty category')
+    .populate('stories', 'title difficulty category')
+    .populate('tests', 'title type')
+    .lean();
+
+  // Criteria are evaluated against ids; the populated documents are only for display
+  const byId = (items) => (items || []).filter(Boolean).map(item => item._id);
+  const bare = stages.map(stage => ({ ...stage, groups: byId(stage.groups), tests: byId(stage.tests) }));
+
+  const learningPath = (user.progress && user.progress.learningPath) || {};
+  const statuses = stageStatuses(bare, learningPath.completedStages || []);
+  const context = await loadContext(user._id, bare);
+
+  return {
+    currentStage: pickCurrentStage(statuses),
+    completedStages: learningPath.completedStages || [],
+    stages: statuses.map(({ stage, status }, idx) => {
+      const full = stages[idx];
+      return {
+        _id: full._id,
+        key: full.key,
+        title: full.title,
+        description: full.description,
+        order: full.order,
+        status,
+        unlockAfter: prerequisitesOf(full, idx, stages),
+        criteria: full.criteria,
+        groups: (full.groups || []).filter(Boolean),
+        grammarLessons: (full.grammarLessons || []).filter(Boolean),
+        stories: (full.stories || []).filter(Boolean),
+        tests: (full.tests || []).filter(Boolean),
+        progress: evaluateStage(stage, user, context)
+      };
+    })
+  };
+}
+
+module.exports = { evaluateStage, stageStatuses, advance, advanceAfterActivity, getPath };
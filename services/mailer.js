@@ -0,0 +1,105 @@
+// services/mailer.js
+//
+// Outgoing mail behind a small transport interface: { send(message) }.
+// MAIL_TRANSPORT picks a built-in transport:
+//   smtp    - send through an SMTP server (nodemailer), configured with
+//             SMTP_URL, or SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS
+//   console - log the message
+//   file    - write each message as JSON into MAIL_DIR
+// Without MAIL_TRANSPORT, smtp is used when SMTP_URL or SMTP_HOST is set, and
+// console only when NODE_ENV is development or test. Mail carries password
+// reset codes, which must not end up in production logs, so anywhere else
+// checkTransport() fails startup instead. Any other provider can be plugged
+// in with setTransport() before checkTransport() runs.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'Portuguese Learning <no-reply@localhost>';
+
+// SMTP settings from the environment; SMTP_URL wins over the separate variables
+function smtpOptions() {
+  if (process.env.SMTP_URL) return process.env.SMTP_URL;
+  if (!process.env.SMTP_HOST) throw new Error('MAIL_TRANSPORT=smtp needs SMTP_URL or SMTP_HOST');
+  const port = parseInt(process.env.SMTP_PORT) || 587;
+  return {
+    host: process.env.SMTP_HOST,
+    port,
+    // Implicit TLS on 465; other ports upgrade with STARTTLS
+    secure: process.env.SMTP_SECURE ? process.env.SMTP_SECURE === 'true' : port === 465,
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  };
+}
+
+// Transport factories, called once when the transport is first needed
+const transports = {
+  smtp() {
+    const nodemailer = require('nodemailer');
+    const transporter = nodemailer.createTransport(smtpOptions());
+    return {
+      async send(message) {
+        await transporter.sendMail(message);
+      }
+    };
+  },
+  console: () => ({
+    async send(message) {
+      console.log(`📧 Mail to ${message.to}: ${message.subject}\n${message.text}`);
+    }
+  }),
+  file: () => ({
+    async send(message) {
+      const dir = process.env.MAIL_DIR || path.join(os.tmpdir(), 'portuguese-learning-mail');
+      await fs.promises.mkdir(dir, { recursive: true });
+      const name = `${Date.now()}-${String(message.to).replace(/[^a-z0-9]+/gi, '_')}.json`;
+      await fs.promises.writeFile(path.join(dir, name), JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+    }
+  })
+};
+
+// Environments where mail may fall back to the console
+const CONSOLE_DEFAULT_ENVS = ['development', 'test'];
+
+const defaultTransportName = () => {
+  if (process.env.SMTP_URL || process.env.SMTP_HOST) return 'smtp';
+  return CONSOLE_DEFAULT_ENVS.includes(process.env.NODE_ENV) ? 'console' : null;
+};
+
+let transport = null;
+
+function getTransport() {
+  if (!transport) {
+    const name = process.env.MAIL_TRANSPORT || defaultTransportName();
+    if (!name) {
+      throw new Error('No mail transport configured: set SMTP_URL or SMTP_HOST, or MAIL_TRANSPORT ' +
+        '(console is only the default when NODE_ENV is development or test)');
+    }
+    if (!transports[name]) throw new Error(`Unknown MAIL_TRANSPORT "${name}"`);
+    transport = transports[name]();
+  }
+  return transport;
+}
+
+/**
+ * Throw unless a transport is configured; call at startup, after any setTransport().
+ */
+const checkTransport = () => {
+  getTransport();
+};
+
+/**
+ * Replace the transport, e.g. with an SMTP or API-backed one.
+ * @param {{ send: (message: Object) => Promise<void> }} custom
+ */
+function setTransport(custom) {
+  if (!custom || typeof custom.send !== 'function') throw new Error('Mail transport must have a send(message) function');
+  transport = custom;
+}
+
+/**
+ * @param {{ to: string, subject: string, text: string, html?: string }} message
+ */
+const sendMail = (message) => getTransport().send({ from: MAIL_FROM, ...message });
+
+module.exports = { sendMail, setTransport, checkTransport };
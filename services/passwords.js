@@ -0,0 +1,89 @@
+// services/passwords.js
+//
+// Password strength rules, hashing, and single-use reset tokens
+// (models/PasswordResetToken.js).
+
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const PasswordResetToken = require('../models/PasswordResetToken');
+
+const MIN_LENGTH = 8;
+const MAX_LENGTH = 128; // bcrypt only uses the first 72 bytes; keep input bounded
+const RESET_TOKEN_TTL_MINUTES = parseInt(process.env.RESET_TOKEN_TTL_MINUTES) || 60;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Check a new password against the strength rules.
+ * @param {string} password
+ * @param {Object} [user] - { email, name }; the password may not contain either
+ * @returns {string[]} problems, empty when the password is acceptable
+ */
+function validatePassword(password, { email, name } = {}) {
+  if (typeof password !== 'string') return ['Password is required.'];
+
+  const problems = [];
+  if (password.length < MIN_LENGTH) problems.push(`Password must be at least ${MIN_LENGTH} characters.`);
+  if (password.length > MAX_LENGTH) problems.push(`Password must be at most ${MAX_LENGTH} characters.`);
+  if (!/[a-zA-Z]/.test(password) || !/\d/.test(password)) {
+    problems.push('Password must contain at least one letter and one number.');
+  }
+  if (/^(.)\1+$/.test(password)) problems.push('Password cannot be a single repeated character.');
+
+  const lower = password.toLowerCase();
+  const localPart = email ? String(email).split('@')[0].toLowerCase() : '';
+  if ((localPart.length >= 3 && lower.includes(localPart)) || (name && name.length >= 3 && lower.includes(String(name).toLowerCase()))) {
+    problems.push('Password cannot contain your name or email.');
+  }
+  return problems;
+}
+
+async function hashPassword(password) {
+  const salt = await bcrypt.genSalt(10);
+  return bcrypt.hash(password, salt);
+}
+
+/**
+ * Issue a reset token for a user. Earlier unused tokens stop working.
+ * @returns {Promise<{ token: string, expiresAt: Date }>}
+ */
+async function createResetToken(userId) {
+  const now = new Date();
+  await PasswordResetToken.updateMany({ userId, usedAt: null }, { $set: { usedAt: now } });
+
+  const token = crypto.randomBytes(32).toString('base64url');
+  const expiresAt = new Date(now.getTime() + RESET_TOKEN_TTL_MINUTES * 60 * 1000);
+  await PasswordResetToken.create({ userId, tokenHash: hashToken(token), expiresAt });
+  return { token, expiresAt };
+}
+
+/**
+ * User id for a reset token that is still usable, without spending it.
+ */
+async function findResetTokenUser(token) {
+  const record = await PasswordResetToken.findOne({ tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: new Date() } });
+  return record ? record.userId : null;
+}
+
+/**
+ * Mark a reset token used. Returns the user id, or null if the token is
+ * unknown, expired or already used.
+ */
+async function redeemResetToken(token) {
+  const now = new Date();
+  const record = await PasswordResetToken.findOneAndUpdate(
+    { tokenHash: hashToken(token), usedAt: null, expiresAt: { $gt: now } },
+    { $set: { usedAt: now } },
+    { new: true }
+  );
+  return record ? record.userId : null;
+}
+
+module.exports = {
+  RESET_TOKEN_TTL_MINUTES,
+  validatePassword,
+  hashPassword,
+  createResetToken,
+  findResetTokenUser,
+  redeemResetToken
+};
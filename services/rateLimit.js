@@ -0,0 +1,175 @@
+// services/rateLimit.js
+//
+// Fixed-window rate limiting with a pluggable counter store.
+//
+// Limits are grouped (auth, account, api) and each group can be tuned with
+// RATE_LIMIT_<GROUP>_MAX and RATE_LIMIT_<GROUP>_WINDOW_MS. RATE_LIMIT_STORE
+// picks the store: memory (default, per process) or mongo (shared between
+// instances); createApp({ rateLimit: false }) turns limiting off. Responses
+// carry the IETF draft RateLimit-* headers and a Retry-After header once the
+// limit is hit.
+
+const RateLimitHit = require('../models/RateLimitHit');
+const { configOf } = require('./config');
+
+const DEFAULT_LIMITS = {
+  // Per IP: login, register, token refresh and password reset
+  auth: { windowMs: 15 * 60 * 1000, max: 30 },
+  // Per account (email): login and forgot-password
+  account: { windowMs: 15 * 60 * 1000, max: 10 },
+  // Per IP: everything under /api
+  api: { windowMs: 60 * 1000, max: 300 }
+};
+
+// Group limits with environment overrides applied
+function limitsFor(group) {
+  const defaults = DEFAULT_LIMITS[group];
+  if (!defaults) throw new Error(`Unknown rate limit group "${group}"`);
+  const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+  return {
+    windowMs: parseInt(process.env[`${prefix}_WINDOW_MS`]) || defaults.windowMs,
+    max: parseInt(process.env[`${prefix}_MAX`]) || defaults.max
+  };
+}
+
+/**
+ * In-process store. Counters are lost on restart and not shared between instances.
+ */
+function createMemoryStore() {
+  const hits = new Map();
+
+  // Drop finished windows now and then so the map doesn't grow forever
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    for (const [key, hit] of hits) {
+      if (hit.resetAt <= now) hits.delete(key);
+    }
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    async increment(key, windowMs) {
+      const now = Date.now();
+      let hit = hits.get(key);
+      if (!hit || hit.resetAt <= now) {
+        hit = { count: 0, resetAt: now + windowMs };
+        hits.set(key, hit);
+      }
+      hit.count += 1;
+      return { count: hit.count, resetAt: new Date(hit.resetAt) };
+    },
+    async reset(key) {
+      hits.delete(key);
+    }
+  };
+}
+
+/**
+ * MongoDB-backed store (models/RateLimitHit.js), shared by every instance.
+ */
+function createMongoStore() {
+  const increment = async (key, windowMs) => {
+    const now = new Date();
+    const open = { $gt: ['$resetAt', now] };
+    // One atomic pipeline update: bump the count inside the window, or start a new one
+    const hit = await RateLimitHit.collection.findOneAndUpdate(
+      { key },
+      [{
+        $set: {
+          count: { $cond: [open, { $add: ['$count', 1] }, 1] },
+          resetAt: { $cond: [open, '$resetAt', new Date(now.getTime() + windowMs)] }
+        }
+      }],
+      { upsert: true, returnDocument: 'after' }
+    );
+    return { count: hit.count, resetAt: hit.resetAt };
+  };
+
+  return {
+    async increment(key, windowMs) {
+      try {
+        return await increment(key, windowMs);
+      } catch (err) {
+        // Two first hits upserting at once: the loser retries against the winner's document
+        if (err.code === 11000) return increment(key, windowMs);
+        throw err;
+      }
+    },
+    async reset(key) {
+      await RateLimitHit.deleteOne({ key });
+    }
+  };
+}
+
+const STORES = { memory: createMemoryStore, mongo: createMongoStore };
+
+let store = null;
+
+function getStore() {
+  if (!store) {
+    const name = process.env.RATE_LIMIT_STORE || 'memory';
+    if (!STORES[name]) throw new Error(`Unknown RATE_LIMIT_STORE "${name}"`);
+    store = STORES[name]();
+  }
+  return store;
+}
+
+/**
+ * Replace the counter store.
+ * @param {{ increment: (key, windowMs) => Promise<{ count, resetAt }>, reset: (key) => Promise<void> }} custom
+ */
+function setStore(custom) {
+  if (!custom || typeof custom.increment !== 'function' || typeof custom.reset !== 'function') {
+    throw new Error('Rate limit store must have increment(key, windowMs) and reset(key) functions');
+  }
+  store = custom;
+}
+
+const byIp = (req) => req.ip;
+
+// Normalized email from the body; requests without one aren't counted
+const byAccount = (req) => {
+  const email = req.body && req.body.email;
+  return typeof email === 'string' && email.trim() ? email.trim().toLowerCase() : null;
+};
+
+/**
+ * Rate-limit middleware for a group.
+ * @param {'auth'|'account'|'api'} group
+ * @param {Object} [options] - { key: req -> string|null (default: client IP) }
+ */
+function rateLimit(group, { key = byIp } = {}) {
+  const { windowMs, max } = limitsFor(group);
+  const windowSeconds = Math.ceil(windowMs / 1000);
+
+  return async (req, res, next) => {
+    if (configOf(req).rateLimit === false) return next();
+    const id = key(req);
+    if (!id) return next();
+
+    let hit;
+    try {
+      hit = await getStore().increment(`${group}:${id}`, windowMs);
+    } catch (err) {
+      // Fail open: a broken store shouldn't take the API down
+      console.error('Rate limit store error:', err);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((new Date(hit.resetAt).getTime() - Date.now()) / 1000));
+    res.set({
+      'RateLimit-Policy': `${max};w=${windowSeconds}`,
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - hit.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (hit.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({ error: 'Too many requests. Please try again later.', retryAfter: resetSeconds });
+    }
+    next();
+  };
+}
+
+module.exports = { DEFAULT_LIMITS, limitsFor, rateLimit, byIp, byAccount, setStore, createMemoryStore, createMongoStore };
@@ -0,0 +1,264 @@
+// services/requestSchemas.js
+//
+// Writable fields for each content model, in the rule format of
+// services/validation.js. Enums come from the models so the two can't drift.
+
+const Word = require('../models/Word');
+const Story = require('../models/Story');
+const Test = require('../models/Test');
+const GrammarLesson = require('../models/GrammarLesson');
+const Verb = require('../models/Verb');
+const Sentence = require('../models/Sentence');
+const SentenceTemplate = require('../models/SentenceTemplate');
+const ImagePrompt = require('../models/ImagePrompt');
+const Group = require('../models/Group');
+
+const enumOf = (Model, path) => Model.schema.path(path).enumValues;
+
+const text = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const stringList = (maxLength = 500) => ({ type: 'array', items: text(maxLength) });
+
+const word = {
+  portuguese: text(200, { required: true }),
+  english: text(200, { required: true }),
+  // Group id; null leaves the word ungrouped
+  group: { type: 'objectId', nullable: true },
+  partOfSpeech: { type: 'string', enum: enumOf(Word, 'partOfSpeech'), nullable: true },
+  gender: { type: 'string', enum: Word.schema.path('gender').enumValues.filter(Boolean), nullable: true },
+  difficulty: { type: 'string', enum: enumOf(Word, 'difficulty') },
+  examples: stringList(),
+  imageUrl: { type: 'string', maxLength: 2000, nullable: true }
+};
+
+const story = {
+  title: text(200, { required: true }),
+  description: text(2000, { required: true }),
+  difficulty: { type: 'integer', min: 1, max: 5 },
+  category: text(100, { required: true }),
+  paragraphs: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        portuguese: text(5000, { required: true }),
+        english: text(5000, { required: true })
+      }
+    }
+  }
+};
+
+// Reading position; paragraphs are 0-based indexes checked against the story
+const storyProgress = {
+  paragraph: { type: 'integer', min: 0, required: true },
+  // Time spent since the last update, added to the total
+  timeSpentSeconds: { type: 'number', min: 0, max: 4 * 60 * 60 },
+  completed: { type: 'boolean' }
+};
+
+const storyReveal = {
+  paragraph: { type: 'integer', min: 0, required: true }
+};
+
+const storyBookmark = {
+  note: text(1000)
+};
+
+// Tap-to-learn: a token from one of the story's paragraphs
+const storyCard = {
+  paragraph: { type: 'integer', min: 0, required: true },
+  token: text(100, { required: true }),
+  english: text(200)
+};
+
+const test = {
+  title: text(200, { required: true }),
+  description: text(2000, { required: true }),
+  type: { type: 'string', enum: enumOf(Test, 'type'), required: true },
+  estimatedTime: { type: 'number', min: 1, required: true },
+  storyId: { type: 'objectId', required: true },
+  questions: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        question: text(1000, { required: true }),
+        options: stringList(),
+        correctAnswer: { type: 'integer', min: 0, required: true },
+        explanation: text(2000)
+      },
+      check: (q) => Array.isArray(q.options) && q.options.length && q.correctAnswer >= q.options.length
+        ? 'correctAnswer must point at one of the options'
+        : null
+    }
+  }
+};
+
+const grammarLesson = {
+  title: text(200, { required: true }),
+  description: text(2000, { required: true }),
+  content: text(50000, { required: true }),
+  difficulty: { type: 'string', enum: enumOf(GrammarLesson, 'difficulty') },
+  category: { type: 'string', enum: enumOf(GrammarLesson, 'category'), required: true },
+  order: { type: 'number', required: true },
+  examples: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: { portuguese: text(1000), english: text(1000), explanation: text(2000) }
+    }
+  },
+  exercises: {
+    type: 'array',
+    items: {
+      type: 'object',
+      fields: {
+        type: { type: 'string', enum: GrammarLesson.schema.path('exercises').schema.path('type').enumValues },
+        question: text(1000),
+        options: stringList(),
+        correctAnswer: text(1000),
+        explanation: text(2000)
+      }
+    }
+  },
+  relatedWords: { type: 'array', items: { type: 'objectId' } },
+  prerequisites: { type: 'array', items: { type: 'objectId' }, maxLength: 50 }
+};
+
+const question = {
+  question: text(1000, { required: true }),
+  options: { type: 'array', items: text(500), minLength: 4, maxLength: 4, required: true },
+  correctAnswer: { type: 'integer', min: 0, max: 3, required: true },
+  explanation: text(2000)
+};
+
+// conjugations: tense -> person -> form
+const conjugationTables = {
+  type: 'object',
+  fields: Verb.TENSES.reduce((tenses, tense) => {
+    tenses[tense] = {
+      type: 'object',
+      fields: Verb.PERSON_SETS.pt.reduce((persons, person) => {
+        persons[person] = text(100);
+        return persons;
+      }, {})
+    };
+    return tenses;
+  }, {})
+};
+
+const example = { type: 'object', fields: { portuguese: text(1000), english: text(1000) } };
+
+const verb = {
+  verb: text(100, { required: true }),
+  english: text(200, { required: true }),
+  type: { type: 'string', enum: enumOf(Verb, 'type') },
+  group: text(100),
+  difficulty: { type: 'string', enum: enumOf(Verb, 'difficulty') },
+  conjugations: conjugationTables,
+  example,
+  examples: { type: 'array', items: example },
+  notes: text(5000),
+  tips: stringList(1000)
+};
+
+// POST /api/conjugations also takes the auto-fill switch
+const verbCreate = { ...verb, autoFill: { type: 'boolean' } };
+
+const sentence = {
+  portuguese: text(1000, { required: true }),
+  english: text(1000, { required: true }),
+  difficulty: { type: 'string', enum: enumOf(Sentence, 'difficulty') },
+  category: text(100)
+};
+
+const sentenceTemplate = {
+  key: text(50, { required: true }),
+  structure: {
+    type: 'array',
+    items: { type: 'string', enum: SentenceTemplate.SLOT_TYPES },
+    minLength: 1,
+    maxLength: 10,
+    required: true,
+    check: (slots) => slots.includes('verb') ? null : 'structure must contain at least one verb slot'
+  },
+  difficulty: { type: 'integer', min: 1, max: 3 },
+  description: text(500),
+  examples: stringList(),
+  isActive: { type: 'boolean' }
+};
+
+const imagePrompt = {
+  word: text(100, { required: true }),
+  imageUrl: {
+    type: 'string',
+    required: true,
+    maxLength: 2 * 1024 * 1024,
+    check: (value) => /^(https?|data:image):/.test(value) ? null : 'imageUrl must be an http(s) URL or a base64 image'
+  },
+  category: { type: 'string', enum: enumOf(ImagePrompt, 'category') },
+  difficulty: { type: 'integer', min: 1, max: 3 },
+  isActive: { type: 'boolean' }
+};
+
+const group = {
+  name: text(100, { required: true }),
+  description: text(1000),
+  icon: { type: 'string', maxLength: 2000, nullable: true },
+  order: { type: 'integer', min: 0 },
+  level: { type: 'string', enum: Group.CEFR_LEVELS, nullable: true },
+  parent: { type: 'objectId', nullable: true }
+};
+
+const idList = { type: 'array', items: { type: 'objectId' }, maxLength: 500 };
+
+const learningStage = {
+  key: text(50, { required: true }),
+  title: text(200, { required: true }),
+  description: text(2000),
+  order: { type: 'number', required: true },
+  groups: idList,
+  grammarLessons: idList,
+  stories: idList,
+  tests: idList,
+  unlockAfter: { type: 'array', items: text(50), maxLength: 50 },
+  criteria: {
+    type: 'object',
+    fields: {
+      wordMaturity: { type: 'number', min: 0, max: 1 },
+      minTestScore: { type: 'number', min: 0, max: 100 }
+    }
+  },
+  isActive: { type: 'boolean' }
+};
+
+// PUT /api/groups/order: ids in their new order
+const groupOrder = {
+  ids: { type: 'array', items: { type: 'objectId' }, minLength: 1, maxLength: 1000, required: true }
+};
+
+// PUT /api/auth/progress: the only progress the client owns. Word progress,
+// test scores and the learning path are written by the server alone.
+const progressUpdate = {
+  savedStories: { type: 'array', items: { type: 'objectId' }, maxLength: 1000 }
+};
+
+module.exports = {
+  word,
+  story,
+  storyProgress,
+  storyReveal,
+  storyBookmark,
+  storyCard,
+  test,
+  grammarLesson,
+  question,
+  verb,
+  verbCreate,
+  sentence,
+  sentenceTemplate,
+  imagePrompt,
+  group,
+  groupOrder,
+  learningStage,
+  progressUpdate
+};
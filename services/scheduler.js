@@ -0,0 +1,464 @@
+// services/scheduler.js
+//
+// Spaced repetition scheduling for per-user word progress.
+// Every write to user.progress.words goes through reviewWord() so the
+// map, the history snapshot and the mastered/needsReview arrays stay in sync
+// and clients never get to choose their own ease/interval/nextReview.
+// recordReview() additionally appends the review to the ReviewLog collection.
+//
+// New cards are introduced in deck order, except that words the user queued
+// (queueWords(), e.g. a grammar lesson's vocabulary) come first. A word leaves
+// the queue on its first review.
+
+const ReviewLog = require('../models/ReviewLog');
+const User = require('../models/User');
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+
+const DEFAULT_EASE = 2.5;
+const MIN_EASE = 1.3;
+const MAX_INTERVAL_DAYS = 36500;
+
+// Cards with an interval of at least this many days count as mature (Anki convention)
+const MATURE_INTERVAL_DAYS = 21;
+
+const ALGORITHMS = ['sm2', 'fsrs'];
+const DEFAULT_ALGORITHM = 'sm2';
+
+const DEFAULT_NEW_CARDS_PER_DAY = 20;
+const DEFAULT_REVIEWS_PER_DAY = 200;
+
+// Legacy flashcard buttons -> SM-2 grades (0-5)
+const DIFFICULTY_GRADES = {
+  easy: 5,
+  medium: 3,
+  hard: 1
+};
+
+// FSRS v4.5 default parameters
+const FSRS_WEIGHTS = [
+  0.4872, 1.4003, 3.7145, 13.8206, 5.1618, 1.2298, 0.8975, 0.031, 1.6474,
+  0.1367, 1.0461, 2.1072, 0.0793, 0.3246, 1.587, 0.2272, 2.8755
+];
+const FSRS_DECAY = -0.5;
+const FSRS_FACTOR = 19 / 81;
+const FSRS_REQUEST_RETENTION = 0.9;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * Normalize a grade from the request body.
+ * Accepts a numeric SM-2 grade (0-5) or a legacy difficulty string.
+ * Returns null when the input can't be interpreted.
+ */
+function parseGrade({ grade, difficulty } = {}) {
+  if (grade !== undefined && grade !== null && grade !== '') {
+    const parsed = Number(grade);
+    if (Number.isInteger(parsed) && parsed >= 0 && parsed <= 5) return parsed;
+    return null;
+  }
+  if (typeof difficulty === 'string' && DIFFICULTY_GRADES[difficulty] !== undefined) {
+    return DIFFICULTY_GRADES[difficulty];
+  }
+  return null;
+}
+
+/**
+ * Read a user's progress for a word with defaults filled in.
+ * Works with hydrated documents (Map) and lean objects (plain object).
+ */
+function getProgress(user, wordId) {
+  const map = user?.progress?.words?.map;
+  const key = String(wordId);
+  const raw = map ? (typeof map.get === 'function' ? map.get(key) : map[key]) : null;
+  const entry = raw && typeof raw.toObject === 'function' ? raw.toObject() : raw;
+
+  if (!entry) return null;
+
+  return {
+    ease: typeof entry.ease === 'number' ? entry.ease : DEFAULT_EASE,
+    interval: typeof entry.interval === 'number' ? entry.interval : 0,
+    reviewCount: entry.reviewCount || 0,
+    repetitions: typeof entry.repetitions === 'number'
+      ? entry.repetitions
+      // Entries written before the scheduler existed have no repetition count
+      : entry.interval >= 6 ? 2 : entry.interval >= 1 ? 1 : 0,
+    lapses: entry.lapses || 0,
+    stability: typeof entry.stability === 'number' ? entry.stability : null,
+    difficulty: typeof entry.difficulty === 'number' ? entry.difficulty : null,
+    firstReviewed: entry.firstReviewed || entry.lastReviewed || null,
+    lastReviewed: entry.lastReviewed || null,
+    nextReview: entry.nextReview || null
+  };
+}
+
+// All progress entries for a user as [{ wordId, progress }]
+function listProgress(user) {
+  const map = user?.progress?.words?.map;
+  if (!map) return [];
+  const keys = typeof map.keys === 'function' ? Array.from(map.keys()) : Object.keys(map);
+  return keys.map(wordId => ({ wordId, progress: getProgress(user, wordId) }));
+}
+
+// 'new' (never reviewed), 'young' or 'mature' based on the current interval
+function classifyCard(progress) {
+  if (!progress || progress.reviewCount === 0) return 'new';
+  return progress.interval >= MATURE_INTERVAL_DAYS ? 'mature' : 'young';
+}
+
+// Client-facing progress fields merged onto a word
+function toClientProgress(progress) {
+  return {
+    ease: progress ? progress.ease : DEFAULT_EASE,
+    interval: progress ? progress.interval : 0,
+    reviewCount: progress ? progress.reviewCount : 0,
+    lastReviewed: progress ? progress.lastReviewed : null,
+    nextReview: progress ? progress.nextReview : null
+  };
+}
+
+// -----------------------
+// SM-2
+// -----------------------
+function scheduleSm2(prev, grade) {
+  let { ease, interval, repetitions, lapses } = prev;
+
+  if (grade < 3) {
+    repetitions = 0;
+    interval = 1;
+    if (prev.reviewCount > 0) lapses += 1;
+  } else {
+    repetitions += 1;
+    if (repetitions === 1) interval = 1;
+    else if (repetitions === 2) interval = 6;
+    else interval = Math.round(Math.max(1, interval) * ease);
+  }
+
+  ease = Math.max(MIN_EASE, ease + (0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02)));
+
+  return { ease, interval, repetitions, lapses };
+}
+
+// -----------------------
+// FSRS
+// -----------------------
+// SM-2 grade -> FSRS rating (1 again, 2 hard, 3 good, 4 easy)
+const toFsrsRating = (grade) => (grade < 3 ? 1 : grade - 1);
+
+const fsrsInitDifficulty = (rating) =>
+  clamp(FSRS_WEIGHTS[4] - (rating - 3) * FSRS_WEIGHTS[5], 1, 10);
+
+const fsrsRetrievability = (elapsedDays, stability) =>
+  Math.pow(1 + FSRS_FACTOR * elapsedDays / stability, FSRS_DECAY);
+
+const fsrsInterval = (stability) => {
+  const days = stability / FSRS_FACTOR * (Math.pow(FSRS_REQUEST_RETENTION, 1 / FSRS_DECAY) - 1);
+  return clamp(Math.round(days), 1, MAX_INTERVAL_DAYS);
+};
+
+// FSRS difficulty (1-10) expressed on the SM-2 ease scale so clients keep a comparable value
+const fsrsEase = (difficulty) => MIN_EASE + (10 - difficulty) / 9 * (3.0 - MIN_EASE);
+
+function scheduleFsrs(prev, grade, now) {
+  const w = FSRS_WEIGHTS;
+  const rating = toFsrsRating(grade);
+  let { stability, difficulty, repetitions, lapses } = prev;
+
+  if (stability === null || prev.reviewCount === 0) {
+    // Carry over whatever interval an SM-2 card had reached
+    if (prev.reviewCount > 0 && prev.interval > 0) {
+      stability = prev.interval;
+      difficulty = fsrsInitDifficulty(3);
+    } else {
+      stability = w[rating - 1];
+      difficulty = fsrsInitDifficulty(rating);
+      repetitions = rating === 1 ? 0 : 1;
+      const interval = fsrsInterval(stability);
+      return { ease: fsrsEase(difficulty), interval, repetitions, lapses, stability, difficulty };
+    }
+  }
+
+  const lastReviewed = prev.lastReviewed ? new Date(prev.lastReviewed) : now;
+  const elapsedDays = Math.max(0, (now - lastReviewed) / ONE_DAY_MS);
+  const retrievability = fsrsRetrievability(elapsedDays, stability);
+
+  const nextDifficulty = difficulty - w[6] * (rating - 3);
+  difficulty = clamp(w[7] * fsrsInitDifficulty(3) + (1 - w[7]) * nextDifficulty, 1, 10);
+
+  if (rating === 1) {
+    stability = w[11] * Math.pow(difficulty, -w[12]) *
+      (Math.pow(stability + 1, w[13]) - 1) * Math.exp(w[14] * (1 - retrievability));
+    repetitions = 0;
+    lapses += 1;
+  } else {
+    const hardPenalty = rating === 2 ? w[15] : 1;
+    const easyBonus = rating === 4 ? w[16] : 1;
+    stability = stability * (1 + Math.exp(w[8]) * (11 - difficulty) *
+      Math.pow(stability, -w[9]) * (Math.exp(w[10] * (1 - retrievability)) - 1) *
+      hardPenalty * easyBonus);
+    repetitions += 1;
+  }
+
+  return {
+    ease: fsrsEase(difficulty),
+    interval: fsrsInterval(stability),
+    repetitions,
+    lapses,
+    stability,
+    difficulty
+  };
+}
+
+/**
+ * Compute the next progress entry for a word without touching the user.
+ * @param {object|null} prev - result of getProgress() (null for a new card)
+ * @param {number} grade - SM-2 grade 0-5
+ * @param {object} [options] - { algorithm: 'sm2'|'fsrs', now: Date }
+ */
+function schedule(prev, grade, { algorithm = DEFAULT_ALGORITHM, now = new Date() } = {}) {
+  const base = prev || {
+    ease: DEFAULT_EASE,
+    interval: 0,
+    reviewCount: 0,
+    repetitions: 0,
+    lapses: 0,
+    stability: null,
+    difficulty: null,
+    firstReviewed: null,
+    lastReviewed: null,
+    nextReview: null
+  };
+
+  const result = algorithm === 'fsrs' ? scheduleFsrs(base, grade, now) : scheduleSm2(base, grade);
+  const interval = clamp(result.interval, 1, MAX_INTERVAL_DAYS);
+
+  return {
+    ease: Math.round(result.ease * 1000) / 1000,
+    interval,
+    reviewCount: base.reviewCount + 1,
+    repetitions: result.repetitions,
+    lapses: result.lapses,
+    stability: result.stability !== undefined ? result.stability : base.stability,
+    difficulty: result.difficulty !== undefined ? result.difficulty : base.difficulty,
+    firstReviewed: base.firstReviewed || now,
+    lastReviewed: now,
+    nextReview: new Date(now.getTime() + interval * ONE_DAY_MS)
+  };
+}
+
+// Keep the legacy mastered / needsReview arrays in step with the map
+function updateLegacyArrays(user, wordId, entry) {
+  const words = user.progress.words;
+  if (!Array.isArray(words.mastered)) words.mastered = [];
+  if (!Array.isArray(words.needsReview)) words.needsReview = [];
+
+  const id = String(wordId);
+  const isMastered = entry.interval >= 7 && entry.ease > 2.6;
+  const isNeeds = entry.ease < 2.0 || entry.interval < 7;
+
+  words.mastered = words.mastered.filter(existing => String(existing) !== id);
+  words.needsReview = words.needsReview.filter(existing => String(existing) !== id);
+
+  if (isMastered) words.mastered.push(id);
+  else if (isNeeds) words.needsReview.push(id);
+}
+
+function updateHistorySnapshot(user, wordId, entry) {
+  const words = user.progress.words;
+  if (!Array.isArray(words.history)) words.history = [];
+
+  const snapshot = {
+    wordId,
+    ease: entry.ease,
+    interval: entry.interval,
+    reviewCount: entry.reviewCount,
+    lastReviewed: entry.lastReviewed,
+    nextReview: entry.nextReview
+  };
+
+  const idx = words.history.findIndex(e => String(e.wordId) === String(wordId));
+  if (idx === -1) words.history.push(snapshot);
+  else words.history.set(idx, snapshot);
+}
+
+// Queued word ids as strings; works with hydrated documents and lean objects
+const queuedIds = (user) => (user?.progress?.words?.queue || []).map(String);
+
+/**
+ * Queue words to be introduced before the rest of the new cards.
+ * Words the user has already reviewed or queued are skipped.
+ * @param {object} user - user document or lean object
+ * @param {Array} wordIds
+ * @returns {Promise<{ queued: string[], alreadyQueued: string[], alreadyStudying: string[] }>}
+ */
+async function queueWords(user, wordIds) {
+  const queue = new Set(queuedIds(user));
+  const result = { queued: [], alreadyQueued: [], alreadyStudying: [] };
+
+  for (const id of new Set(wordIds.map(String))) {
+    const progress = getProgress(user, id);
+    if (progress && progress.reviewCount > 0) result.alreadyStudying.push(id);
+    else if (queue.has(id)) result.alreadyQueued.push(id);
+    else result.queued.push(id);
+  }
+
+  if (result.queued.length) {
+    // Not a review, so written directly rather than through save() (which would count as activity)
+    await User.updateOne({ _id: user._id }, { $push: { 'progress.words.queue': { $each: result.queued } } });
+  }
+  return result;
+}
+
+/**
+ * Apply a review to a (hydrated) user document. Caller saves the user.
+ * Returns { previous, progress } so routes can report the change.
+ */
+function reviewWord(user, wordId, grade, { now = new Date(), algorithm } = {}) {
+  const id = String(wordId);
+  const chosen = algorithm || getSettings(user).algorithm;
+  const previous = getProgress(user, id);
+  const progress = schedule(previous, grade, { algorithm: chosen, now });
+
+  if (!user.progress.words.map) user.progress.words.map = new Map();
+  user.progress.words.map.set(id, progress);
+  updateHistorySnapshot(user, id, progress);
+  updateLegacyArrays(user, id, progress);
+  if (queuedIds(user).includes(id)) {
+    user.progress.words.queue = user.progress.words.queue.filter(existing => String(existing) !== id);
+  }
+
+  return { previous, progress };
+}
+
+// Response time in ms from the request body, or null when missing/invalid
+function parseResponseTime(value) {
+  if (value === undefined || value === null || value === '') return null;
+  const parsed = Number(value);
+  return Number.isFinite(parsed) && parsed >= 0 ? Math.round(parsed) : null;
+}
+
+/**
+ * Review a word, save the user and append the event to the review log.
+ * @param {object} user - hydrated user document
+ * @param {string} wordId
+ * @param {number} grade - SM-2 grade 0-5
+ * @param {object} [options] - { responseTimeMs, now }
+ */
+async function recordReview(user, wordId, grade, { responseTimeMs = null, now = new Date() } = {}) {
+  const { algorithm } = getSettings(user);
+  const { previous, progress } = reviewWord(user, wordId, grade, { now, algorithm });
+
+  await user.save();
+
+  const log = await ReviewLog.create({
+    userId: user._id,
+    wordId,
+    grade,
+    algorithm,
+    previousInterval: previous ? previous.interval : 0,
+    newInterval: progress.interval,
+    previousEase: previous ? previous.ease : null,
+    newEase: progress.ease,
+    responseTimeMs,
+    reviewedAt: now
+  });
+
+  return { previous, progress, log };
+}
+
+// Per-user scheduler settings with defaults filled in
+function getSettings(user) {
+  const srs = user?.settings?.srs || {};
+  return {
+    algorithm: ALGORITHMS.includes(srs.algorithm) ? srs.algorithm : DEFAULT_ALGORITHM,
+    newCardsPerDay: typeof srs.newCardsPerDay === 'number' ? srs.newCardsPerDay : DEFAULT_NEW_CARDS_PER_DAY,
+    reviewsPerDay: typeof srs.reviewsPerDay === 'number' ? srs.reviewsPerDay : DEFAULT_REVIEWS_PER_DAY
+  };
+}
+
+const startOfDay = (date) => {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+};
+
+/**
+ * Build the queue of cards due right now.
+ * Reviews already done today and cards introduced today count against the daily limits.
+ * @param {object} user - user document or lean object
+ * @param {Array} words - Word documents or lean objects
+ * @param {object} [options] - { now, newLimit, reviewLimit }
+ */
+function buildDueQueue(user, words, { now = new Date(), newLimit, reviewLimit } = {}) {
+  const settings = getSettings(user);
+  const dayStart = startOfDay(now);
+
+  let newToday = 0;
+  let reviewsToday = 0;
+  const due = [];
+  const fresh = [];
+
+  for (const word of words) {
+    const progress = getProgress(user, word._id);
+
+    if (!progress || progress.reviewCount === 0) {
+      fresh.push({ word, progress: null });
+      continue;
+    }
+
+    const lastReviewed = progress.lastReviewed ? new Date(progress.lastReviewed) : null;
+    if (lastReviewed && lastReviewed >= dayStart) {
+      const firstReviewed = progress.firstReviewed ? new Date(progress.firstReviewed) : null;
+      if (firstReviewed && firstReviewed >= dayStart) newToday += 1;
+      else reviewsToday += 1;
+    }
+
+    if (!progress.nextReview || new Date(progress.nextReview) <= now) {
+      due.push({ word, progress });
+    }
+  }
+
+  due.sort((a, b) => new Date(a.progress.nextReview || 0) - new Date(b.progress.nextReview || 0));
+
+  // Queued words first, in the order they were queued; the rest keep deck order
+  const queuePosition = new Map(queuedIds(user).map((id, idx) => [id, idx]));
+  const position = ({ word }) => (queuePosition.has(String(word._id)) ? queuePosition.get(String(word._id)) : Infinity);
+  fresh.sort((a, b) => position(a) - position(b));
+
+  const maxNew = Math.max(0, (newLimit !== undefined ? newLimit : settings.newCardsPerDay) - newToday);
+  const maxReviews = Math.max(0, (reviewLimit !== undefined ? reviewLimit : settings.reviewsPerDay) - reviewsToday);
+
+  return {
+    reviews: due.slice(0, maxReviews),
+    newCards: fresh.slice(0, maxNew),
+    counts: {
+      dueTotal: due.length,
+      newTotal: fresh.length,
+      queued: fresh.filter(item => position(item) !== Infinity).length,
+      reviewsToday,
+      newToday
+    },
+    limits: {
+      newCardsPerDay: newLimit !== undefined ? newLimit : settings.newCardsPerDay,
+      reviewsPerDay: reviewLimit !== undefined ? reviewLimit : settings.reviewsPerDay
+    }
+  };
+}
+
+module.exports = {
+  ALGORITHMS,
+  DEFAULT_ALGORITHM,
+  MATURE_INTERVAL_DAYS,
+  parseGrade,
+  parseResponseTime,
+  getProgress,
+  listProgress,
+  getSettings,
+  classifyCard,
+  toClientProgress,
+  schedule,
+  reviewWord,
+  recordReview,
+  queueWords,
+  buildDueQueue
+};
@@ -0,0 +1,385 @@
+// services/sentenceBuilder.js
+//
+// Fills sentence templates (models/SentenceTemplate.js) with tagged vocabulary:
+// words by partOfSpeech for nouns, prepositions, adjectives and adverbs, and the
+// Verb collection for verbs, conjugated to agree with the subject. Regular verbs
+// without a stored form fall back to services/conjugator.js.
+//
+// Word-order exercises are stateless: the expected order travels with the
+// exercise as an encrypted token, so nothing is stored between the two requests.
+
+const crypto = require('crypto');
+const Word = require('../models/Word');
+const Verb = require('../models/Verb');
+const SentenceTemplate = require('../models/SentenceTemplate');
+const conjugator = require('./conjugator');
+const defaultTemplates = require('../sentenceTemplates');
+
+const MAX_SENTENCES = 20;
+
+// Candidates sampled per part of speech for one request
+const POOL_SIZE = 50;
+
+// Word-order tokens stay valid for this long
+const EXERCISE_TTL_MS = 60 * 60 * 1000;
+
+// Tenses a sentence can be generated in (the imperative has no subject)
+const SENTENCE_TENSES = Verb.TENSES.filter(tense => tense !== 'imperative');
+
+// Subject pronouns are grammar rather than vocabulary, so they are built in
+const SUBJECT_PRONOUNS = [
+  { text: 'eu', english: 'I', person: 'eu', gender: null },
+  { text: 'tu', english: 'you', person: 'tu', gender: null },
+  { text: 'você', english: 'you', person: 'voceEleEla', gender: null },
+  { text: 'ele', english: 'he', person: 'voceEleEla', gender: 'masculine' },
+  { text: 'ela', english: 'she', person: 'voceEleEla', gender: 'feminine' },
+  { text: 'nós', english: 'we', person: 'nos', gender: null },
+  { text: 'vós', english: 'you', person: 'vos', gender: null },
+  { text: 'vocês', english: 'you', person: 'vocesEles', gender: null },
+  { text: 'eles', english: 'they', person: 'vocesEles', gender: 'masculine' },
+  { text: 'elas', english: 'they', person: 'vocesEles', gender: 'feminine' }
+];
+
+const PLURAL_PERSONS = ['nos', 'vos', 'vocesEles'];
+
+// Word partOfSpeech feeding each slot type
+const SLOT_SOURCES = {
+  subject: 'noun',
+  object: 'noun',
+  preposition: 'preposition',
+  adjective: 'adjective',
+  adverb: 'adverb'
+};
+
+// Preposition + definite article contractions
+const CONTRACTIONS = {
+  a: { o: 'ao', a: 'à', os: 'aos', as: 'às' },
+  de: { o: 'do', a: 'da', os: 'dos', as: 'das' },
+  em: { o: 'no', a: 'na', os: 'nos', as: 'nas' },
+  por: { o: 'pelo', a: 'pela', os: 'pelos', as: 'pelas' }
+};
+
+const ARTICLE_PATTERN = /^(o|a|os|as|um|uma|uns|umas)\s+/i;
+
+const pick = (list) => list[Math.floor(Math.random() * list.length)];
+
+function shuffle(list) {
+  const copy = list.slice();
+  for (let i = copy.length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [copy[i], copy[j]] = [copy[j], copy[i]];
+  }
+  return copy;
+}
+
+const normalizeToken = (text) => String(text || '').trim().toLowerCase();
+
+const capitalize = (text) => text.charAt(0).toUpperCase() + text.slice(1);
+
+// Stored word -> noun phrase with a definite article unless it already has one
+function nounPhrase(word) {
+  const text = word.portuguese.trim();
+  if (ARTICLE_PATTERN.test(text)) return { text, article: text.split(/\s+/)[0].toLowerCase() };
+  const article = word.gender === 'feminine' ? 'a' : 'o';
+  return { text: `${article} ${text}`, article };
+}
+
+// Masculine singular adjective -> form agreeing with the noun or pronoun
+function agreeAdjective(adjective, { gender, plural }) {
+  let text = adjective.trim();
+  if (gender === 'feminine' && /o$/.test(text)) text = text.slice(0, -1) + 'a';
+  if (plural) {
+    if (/[aeiou]$/.test(text)) text += 's';
+    else if (/[rz]$/.test(text)) text += 'es';
+  }
+  return text;
+}
+
+// Verb doc -> form for the person, generating regular forms that aren't stored
+function verbForm(verb, tense, person) {
+  const stored = verb.conjugations && verb.conjugations[tense] && verb.conjugations[tense][person];
+  if (stored) return stored;
+  const generated = conjugator.conjugate(verb.verb);
+  return (generated.conjugations && generated.conjugations[tense] && generated.conjugations[tense][person]) || null;
+}
+
+const verbGloss = (verb) => String(verb.english || '').replace(/^to\s+/i, '');
+
+/**
+ * Copy the defaults from sentenceTemplates.js into the collection the first
+ * time it is found empty in this process.
+ */
+let seeding = null;
+function ensureDefaultTemplates() {
+  if (!seeding) {
+    seeding = SentenceTemplate.estimatedDocumentCount()
+      .then(count => {
+        if (count > 0) return;
+        return SentenceTemplate.insertMany(defaultTemplates.map(({ id, ...template }) => ({ key: id, ...template })));
+      })
+      .catch(err => {
+        seeding = null;
+        throw err;
+      });
+  }
+  return seeding;
+}
+
+/**
+ * Sample vocabulary for the slot types the templates use.
+ * @param {string[]} slotTypes
+ * @param {Object} [options] - { group }
+ */
+async function loadPools(slotTypes, { group } = {}) {
+  const pools = {};
+  const partsOfSpeech = [...new Set(slotTypes.map(slot => SLOT_SOURCES[slot]).filter(Boolean))];
+
+  await Promise.all(partsOfSpeech.map(async (partOfSpeech) => {
+    const match = { partOfSpeech };
+    if (group) match.group = group;
+    pools[partOfSpeech] = await Word.aggregate([{ $match: match }, { $sample: { size: POOL_SIZE } }]);
+  }));
+
+  if (slotTypes.includes('verb')) {
+    pools.verb = await Verb.aggregate([{ $sample: { size: POOL_SIZE } }]);
+  }
+  return pools;
+}
+
+/**
+ * Fill one template. Returns { sentence } or { missing } naming the slot types
+ * the vocabulary pools couldn't supply.
+ */
+function buildSentence(template, pools, { tense = 'present', variant = 'br' } = {}) {
+  const persons = Verb.PERSON_SETS[variant] || Verb.PERSON_SETS.br;
+  const structure = template.structure;
+  const tokens = [];
+  const missing = new Set();
+
+  // Subject first: it decides verb agreement and any pronoun/adjective agreement.
+  // An adjective right after the subject needs a noun to describe.
+  let subject = null;
+  const subjectIndex = structure.indexOf('subject');
+  if (subjectIndex !== -1) {
+    const needsNoun = structure[subjectIndex + 1] === 'adjective';
+    const pronouns = needsNoun ? [] : SUBJECT_PRONOUNS.filter(p => persons.includes(p.person));
+    const nouns = (pools.noun || []).map(word => ({ word }));
+    const candidate = pick([...pronouns, ...nouns]);
+    if (!candidate) {
+      missing.add('subject');
+    } else if (candidate.word) {
+      subject = {
+        ...nounPhrase(candidate.word),
+        english: `the ${candidate.word.english}`,
+        wordId: candidate.word._id,
+        person: 'voceEleEla',
+        gender: candidate.word.gender === 'feminine' ? 'feminine' : 'masculine',
+        plural: false
+      };
+    } else {
+      subject = { ...candidate, plural: PLURAL_PERSONS.includes(candidate.person) };
+    }
+  } else {
+    // No subject slot: agree with an implied pronoun
+    const implied = pick(SUBJECT_PRONOUNS.filter(p => persons.includes(p.person)));
+    subject = { ...implied, implied: true, plural: PLURAL_PERSONS.includes(implied.person) };
+  }
+
+  // Nouns and verbs used once per sentence where possible
+  const used = new Set();
+  const take = (pool) => {
+    const fresh = (pool || []).filter(item => !used.has(String(item._id)));
+    const item = pick(fresh.length ? fresh : pool || []);
+    if (item) used.add(String(item._id));
+    return item;
+  };
+  if (subject && subject.wordId) used.add(String(subject.wordId));
+
+  let lastNoun = subject;
+  for (const slot of structure) {
+    if (slot === 'subject') {
+      if (subject) tokens.push({ slot, text: subject.text, english: subject.english, wordId: subject.wordId });
+      continue;
+    }
+
+    if (slot === 'pronoun') {
+      // Resumptive pronoun matching the subject ("O gato ele dorme")
+      let pronoun = subject;
+      if (subject && subject.wordId) {
+        pronoun = SUBJECT_PRONOUNS.find(p => p.person === 'voceEleEla' && p.gender === subject.gender);
+      }
+      if (pronoun) tokens.push({ slot, text: pronoun.text, english: pronoun.english });
+      continue;
+    }
+
+    if (slot === 'verb') {
+      const candidates = (pools.verb || []).filter(v => subject && verbForm(v, tense, subject.person));
+      const verb = take(candidates);
+      if (!verb) {
+        missing.add('verb');
+        continue;
+      }
+      tokens.push({ slot, text: verbForm(verb, tense, subject.person), english: verbGloss(verb), verbId: verb._id, tense, person: subject.person });
+      continue;
+    }
+
+    if (slot === 'object') {
+      const word = take(pools.noun);
+      if (!word) {
+        missing.add('object');
+        continue;
+      }
+      const phrase = nounPhrase(word);
+      const previous = tokens[tokens.length - 1];
+      const contracted = previous && previous.slot === 'preposition' &&
+        CONTRACTIONS[previous.text] && CONTRACTIONS[previous.text][phrase.article];
+      if (contracted) {
+        // "em" + "a casa" -> "na" + "casa"
+        previous.text = contracted;
+        phrase.text = phrase.text.replace(ARTICLE_PATTERN, '');
+      }
+      tokens.push({ slot, text: phrase.text, english: `the ${word.english}`, wordId: word._id });
+      lastNoun = { gender: word.gender === 'feminine' ? 'feminine' : 'masculine', plural: false };
+      continue;
+    }
+
+    if (slot === 'adjective') {
+      const word = take(pools.adjective);
+      if (!word) {
+        missing.add('adjective');
+        continue;
+      }
+      tokens.push({ slot, text: agreeAdjective(word.portuguese, lastNoun || {}), english: word.english, wordId: word._id });
+      continue;
+    }
+
+    // preposition, adverb
+    const word = take(pools[SLOT_SOURCES[slot]]);
+    if (!word) {
+      missing.add(slot);
+      continue;
+    }
+    tokens.push({ slot, text: word.portuguese.trim().toLowerCase(), english: word.english, wordId: word._id });
+  }
+
+  if (missing.size) return { missing: [...missing] };
+
+  const portuguese = capitalize(tokens.map(t => t.text).join(' ')) + '.';
+  return {
+    sentence: {
+      template: template.key,
+      difficulty: template.difficulty,
+      tense,
+      portuguese,
+      // Word-by-word gloss, not a translation
+      gloss: tokens.map(t => t.english).filter(Boolean).join(' '),
+      tokens
+    }
+  };
+}
+
+/**
+ * Generate up to `count` sentences from the given templates.
+ * Returns { sentences, missing } where missing lists slot types that blocked
+ * every attempt at some template.
+ */
+async function generateSentences(templates, { count = 5, tense = 'present', variant = 'br', group } = {}) {
+  const slotTypes = [...new Set(templates.flatMap(t => t.structure))];
+  const pools = await loadPools(slotTypes, { group });
+
+  const sentences = [];
+  const missing = new Set();
+  let usable = templates.slice();
+  while (sentences.length < count && usable.length) {
+    const template = pick(usable);
+    const result = buildSentence(template, pools, { tense, variant });
+    if (result.sentence) {
+      sentences.push(result.sentence);
+    } else {
+      // Pools don't change between attempts, so drop the template
+      result.missing.forEach(slot => missing.add(slot));
+      usable = usable.filter(t => t !== template);
+    }
+  }
+  return { sentences, missing: [...missing] };
+}
+
+// Key for sealing word-order exercises, derived from the app's JWT secret
+const exerciseKey = (secret) => crypto.createHash('sha256').update(String(secret)).digest();
+
+function sealExercise(payload, secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', exerciseKey(secret), iv);
+  const body = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64url');
+}
+
+// Sealed token -> payload, or null when tampered with or expired
+function openExercise(token, secret) {
+  try {
+    const raw = Buffer.from(String(token), 'base64url');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', exerciseKey(secret), raw.subarray(0, 12));
+    decipher.setAuthTag(raw.subarray(12, 28));
+    const payload = JSON.parse(Buffer.concat([decipher.update(raw.subarray(28)), decipher.final()]).toString('utf8'));
+    return payload.expiresAt > Date.now() ? payload : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Turn a generated sentence into a word-order exercise: lowercase tokens in a
+ * shuffled order plus a sealed token holding the expected order.
+ * secret is the app's jwtSecret; the same one must be passed to checkWordOrder().
+ */
+function toWordOrderExercise(sentence, secret) {
+  const answer = sentence.tokens.map(t => normalizeToken(t.text));
+  let tokens = shuffle(answer);
+  // Avoid handing back the solution when another order exists
+  for (let tries = 0; tries < 5 && tokens.join(' ') === answer.join(' ') && new Set(answer).size > 1; tries++) {
+    tokens = shuffle(answer);
+  }
+
+  return {
+    exercise: sealExercise({ answer, template: sentence.template, gloss: sentence.gloss, expiresAt: Date.now() + EXERCISE_TTL_MS }, secret),
+    template: sentence.template,
+    difficulty: sentence.difficulty,
+    gloss: sentence.gloss,
+    tokens
+  };
+}
+
+/**
+ * Check a learner's ordering. Returns { error } when the token is invalid or
+ * the answer doesn't use exactly the given tokens.
+ */
+function checkWordOrder(exercise, answer, secret) {
+  const payload = openExercise(exercise, secret);
+  if (!payload) return { error: 'Exercise is invalid or has expired' };
+  if (!Array.isArray(answer)) return { error: 'answer must be an array of tokens' };
+
+  const given = answer.map(normalizeToken);
+  const sorted = (list) => list.slice().sort().join('\u0000');
+  if (sorted(given) !== sorted(payload.answer)) {
+    return { error: 'answer must use each exercise token exactly once' };
+  }
+
+  const positions = payload.answer.map((token, idx) => given[idx] === token);
+  return {
+    correct: positions.every(Boolean),
+    positions,
+    expected: payload.answer,
+    sentence: capitalize(payload.answer.join(' ')) + '.',
+    gloss: payload.gloss
+  };
+}
+
+module.exports = {
+  MAX_SENTENCES,
+  SENTENCE_TENSES,
+  ensureDefaultTemplates,
+  buildSentence,
+  generateSentences,
+  toWordOrderExercise,
+  checkWordOrder
+};
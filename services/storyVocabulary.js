@@ -0,0 +1,263 @@
+// services/storyVocabulary.js
+//
+// Tap-to-learn: split a story's Portuguese text into tokens and match each one
+// against the Word collection, falling back to the conjugation tables for
+// inflected verb forms (falamos -> falar).
+//
+// Every word token gets a status for the user:
+//  - known:   they have reviewed the word (or their personal card for it)
+//  - new:     it's in the dictionary (or saved as a card) but not reviewed yet
+//  - unknown: nothing matches it
+// Personal cards (models/PersonalCard.js) are keyed by the lowercased
+// dictionary form, so "falo" and "falamos" share one card.
+
+const Word = require('../models/Word');
+const Verb = require('../models/Verb');
+const PersonalCard = require('../models/PersonalCard');
+const scheduler = require('./scheduler');
+
+// Letters with combining marks, allowing inner hyphens and apostrophes (chama-se, d'água)
+const WORD_PATTERN = /[\p{L}\p{M}]+(?:[-'’][\p{L}\p{M}]+)*/gu;
+
+// Leading articles stripped from dictionary entries such as "o livro"
+const ARTICLES = new Set(['o', 'a', 'os', 'as', 'um', 'uma', 'uns', 'umas']);
+
+const normalizeToken = (text) => String(text || '').normalize('NFC').toLowerCase().replace(/’/g, "'").trim();
+
+/**
+ * Split text into word and separator tokens; joining every token's text gives the input back.
+ * @returns {Array<{ text: string, word: boolean }>}
+ */
+function tokenize(text) {
+  const source = String(text || '');
+  const tokens = [];
+  let last = 0;
+  for (const match of source.matchAll(WORD_PATTERN)) {
+    if (match.index > last) tokens.push({ text: source.slice(last, match.index), word: false });
+    tokens.push({ text: match[0], word: true });
+    last = match.index + match[0].length;
+  }
+  if (last < source.length) tokens.push({ text: source.slice(last), word: false });
+  return tokens;
+}
+
+/**
+ * The sentence of a paragraph that contains a token, used as flashcard context.
+ * Falls back to the whole paragraph when no sentence matches.
+ */
+function sentenceFor(paragraph, token) {
+  const key = normalizeToken(token);
+  const sentences = String(paragraph || '').split(/(?<=[.!?…])\s+/);
+  const sentence = sentences.find(s => tokenize(s).some(t => t.word && normalizeToken(t.text) === key));
+  return (sentence || paragraph || '').trim();
+}
+
+/**
+ * Dictionary entries and verb forms to match tokens against.
+ * @returns {Promise<{ entries: Map<string, Object>, forms: Map<string, Object> }>}
+ */
+async function buildLexicon() {
+  const [words, verbs] = await Promise.all([
+    Word.find().select('portuguese english partOfSpeech').lean(),
+    Verb.find().select('verb english conjugations').lean()
+  ]);
+
+  const entries = new Map();
+  const addEntry = (key, word) => {
+    if (key && !entries.has(key)) entries.set(key, word);
+  };
+  for (const word of words) {
+    const key = normalizeToken(word.portuguese);
+    addEntry(key, word);
+    // "o livro" is also found as "livro"
+    const parts = key.split(/\s+/);
+    if (parts.length === 2 && ARTICLES.has(parts[0])) addEntry(parts[1], word);
+  }
+
+  const forms = new Map();
+  for (const verb of verbs) {
+    const infinitive = normalizeToken(verb.verb);
+    if (!forms.has(infinitive)) forms.set(infinitive, { verb: verb.verb, english: verb.english, tense: null, person: null });
+    for (const [tense, persons] of Object.entries(verb.conjugations || {})) {
+      for (const [person, form] of Object.entries(persons || {})) {
+        const key = normalizeToken(form);
+        // Compound tenses ("tenho falado") can't match a single token
+        if (!key || /\s/.test(key) || forms.has(key)) continue;
+        forms.set(key, { verb: verb.verb, english: verb.english, tense, person });
+      }
+    }
+  }
+
+  return { entries, forms };
+}
+
+/**
+ * Match one token against the lexicon.
+ * @returns {{ key: string, word: Object|null, lemma: string|null, english: string|null, inflection: Object|null, matched: boolean }}
+ */
+function lookup(lexicon, token) {
+  const normalized = normalizeToken(token);
+  // Verbs with hyphenated clitics (chama-se, diga-me) are looked up by the verb part too
+  const candidates = normalized.includes('-') ? [normalized, normalized.split('-')[0]] : [normalized];
+
+  for (const candidate of candidates) {
+    const word = lexicon.entries.get(candidate);
+    if (word) return { key: candidate, word, lemma: null, english: word.english, inflection: null, matched: true };
+
+    const form = lexicon.forms.get(candidate);
+    if (form) {
+      const lemma = normalizeToken(form.verb);
+      const verbWord = lexicon.entries.get(lemma) || null;
+      return {
+        key: lemma,
+        word: verbWord,
+        lemma: form.verb,
+        english: verbWord ? verbWord.english : form.english,
+        inflection: form.tense ? { tense: form.tense, person: form.person } : null,
+        matched: true
+      };
+    }
+  }
+  return { key: normalized, word: null, lemma: null, english: null, inflection: null, matched: false };
+}
+
+const reviewed = (user, id) => {
+  const progress = scheduler.getProgress(user, id);
+  return Boolean(progress && progress.reviewCount > 0);
+};
+
+/**
+ * Status of a matched token for a user.
+ * @param {Object} user - lean user with progress
+ * @param {Object} match - result of lookup()
+ * @param {Object|null} card - the user's personal card for match.key
+ */
+function statusFor(user, match, card) {
+  if (match.word) return reviewed(user, match.word._id) ? 'known' : 'new';
+  if (card) return reviewed(user, card._id) ? 'known' : 'new';
+  return match.matched ? 'new' : 'unknown';
+}
+
+/**
+ * Everything needed to mark tokens for a user: the lexicon and their personal cards.
+ * Load it once when marking several stories.
+ * @param {Object} user - lean user with progress
+ */
+async function loadContext(user) {
+  const [lexicon, cards] = await Promise.all([
+    buildLexicon(),
+    PersonalCard.find({ userId: user._id }).select('key').lean()
+  ]);
+  return { user, lexicon, cardsByKey: new Map(cards.map(card => [card.key, card])) };
+}
+
+// Match a word token and mark it for the context's user
+function markToken({ user, lexicon, cardsByKey }, token) {
+  const match = lookup(lexicon, token.text);
+  const card = cardsByKey.get(match.key) || null;
+  return {
+    ...token,
+    key: match.key,
+    status: statusFor(user, match, card),
+    wordId: match.word ? match.word._id : null,
+    lemma: match.lemma,
+    english: match.english,
+    inflection: match.inflection,
+    saved: Boolean(card),
+    cardId: card ? card._id : null
+  };
+}
+
+/**
+ * Tokenize every paragraph of a story and mark each word for the user.
+ * counts are of distinct dictionary forms, not occurrences.
+ * @param {Object} story - story document or lean object
+ * @param {Object} user - lean user with progress
+ */
+async function analyzeStory(story, user) {
+  const context = await loadContext(user);
+  const statuses = new Map();
+
+  const paragraphs = (story.paragraphs || []).map((paragraph, index) => ({
+    index,
+    tokens: tokenize(paragraph.portuguese).map(token => {
+      if (!token.word) return token;
+      const marked = markToken(context, token);
+      statuses.set(marked.key, marked.status);
+      return marked;
+    })
+  }));
+
+  const counts = { known: 0, new: 0, unknown: 0 };
+  for (const status of statuses.values()) counts[status] += 1;
+
+  return { paragraphs, counts };
+}
+
+/**
+ * Share of a story's running words the user knows.
+ * @param {Object} story - with paragraphs
+ * @param {Object} context - result of loadContext()
+ * @returns {{ words: number, known: number, coverage: number, unfamiliar: number }}
+ *   words/known count occurrences; unfamiliar counts distinct forms not known yet
+ */
+function storyCoverage(story, context) {
+  let words = 0;
+  let known = 0;
+  const unfamiliar = new Set();
+
+  for (const paragraph of story.paragraphs || []) {
+    for (const token of tokenize(paragraph.portuguese)) {
+      if (!token.word) continue;
+      const marked = markToken(context, token);
+      words += 1;
+      if (marked.status === 'known') known += 1;
+      else unfamiliar.add(marked.key);
+    }
+  }
+
+  return { words, known, coverage: words ? known / words : 0, unfamiliar: unfamiliar.size };
+}
+
+// Coverage a learner can read comfortably: most words known, a few to pick up
+const COMFORT_RANGE = { min: 0.8, max: 0.98 };
+
+/**
+ * Order stories for reading: those whose coverage is inside the range first,
+ * closest to its middle, then the rest by how far they fall outside it.
+ * @param {Array} stories - lean stories with paragraphs
+ * @param {Object} context - result of loadContext()
+ * @param {{ min: number, max: number }} [range]
+ * @returns {Array<{ story, coverage: Object, inRange: boolean }>}
+ */
+function rankByCoverage(stories, context, range = COMFORT_RANGE) {
+  const target = (range.min + range.max) / 2;
+  const distance = ({ coverage }) => {
+    const value = coverage.coverage;
+    if (value < range.min) return value - range.min;
+    if (value > range.max) return value - range.max;
+    return value - target;
+  };
+
+  return stories
+    .map(story => {
+      const coverage = storyCoverage(story, context);
+      return { story, coverage, inRange: coverage.coverage >= range.min && coverage.coverage <= range.max };
+    })
+    .filter(item => item.coverage.words > 0)
+    .sort((a, b) => (b.inRange - a.inRange) || (Math.abs(distance(a)) - Math.abs(distance(b))));
+}
+
+module.exports = {
+  COMFORT_RANGE,
+  normalizeToken,
+  tokenize,
+  sentenceFor,
+  buildLexicon,
+  lookup,
+  statusFor,
+  loadContext,
+  analyzeStory,
+  storyCoverage,
+  rankByCoverage
+};
@@ -0,0 +1,106 @@
+// services/tokens.js
+//
+// Short-lived JWT access tokens plus rotating refresh tokens stored server-side
+// (models/RefreshToken.js).
+
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const RefreshToken = require('../models/RefreshToken');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// secret is the app's jwtSecret (services/config.js)
+const signAccessToken = (user, secret) =>
+  jwt.sign({ id: user._id, email: user.email, role: user.role }, secret, { expiresIn: ACCESS_TOKEN_TTL });
+
+// Client metadata kept with the refresh token so sessions can be told apart
+const requestMeta = (req) => ({
+  userAgent: req.get('user-agent'),
+  ip: req.ip
+});
+
+async function createRefreshToken(userId, family, meta = {}) {
+  const token = crypto.randomBytes(48).toString('base64url');
+  await RefreshToken.create({
+    userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+    ...meta
+  });
+  return token;
+}
+
+/**
+ * Access + refresh token pair for a fresh login.
+ * @returns {Promise<{ token, refreshToken, expiresIn }>}
+ */
+async function issueTokens(user, meta, secret) {
+  const refreshToken = await createRefreshToken(user._id, crypto.randomUUID(), meta);
+  return { token: signAccessToken(user, secret), refreshToken, expiresIn: ACCESS_TOKEN_TTL };
+}
+
+/**
+ * Exchange a refresh token for a new pair. The presented token is revoked.
+ * Presenting an already-revoked token revokes its whole family.
+ * @param {Function} loadUser - userId -> user document (or null)
+ * @returns {Promise<{ user, tokens } | { error }>}
+ */
+async function rotateRefreshToken(token, loadUser, meta, secret) {
+  const tokenHash = hashToken(token);
+  const now = new Date();
+
+  // Revoke atomically so two concurrent refreshes can't both succeed
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+    { $set: { revokedAt: now } },
+    { new: true }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+    if (known && known.revokedAt) {
+      console.warn(`⚠️  Refresh token reuse for user ${known.userId}; revoking session ${known.family}`);
+      await RefreshToken.updateMany({ family: known.family, revokedAt: null }, { $set: { revokedAt: now } });
+    }
+    return { error: 'Invalid or expired refresh token.' };
+  }
+
+  const user = await loadUser(current.userId);
+  if (!user) return { error: 'Invalid or expired refresh token.' };
+
+  const refreshToken = await createRefreshToken(user._id, current.family, meta);
+  current.replacedBy = hashToken(refreshToken);
+  await current.save();
+
+  return { user, tokens: { token: signAccessToken(user, secret), refreshToken, expiresIn: ACCESS_TOKEN_TTL } };
+}
+
+/**
+ * Revoke the session (token family) a refresh token belongs to.
+ * @returns {Promise<boolean>} whether the token was known
+ */
+async function revokeSession(token) {
+  const known = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!known) return false;
+  await RefreshToken.updateMany({ family: known.family, revokedAt: null }, { $set: { revokedAt: new Date() } });
+  return true;
+}
+
+// Revoke every refresh token a user holds
+const revokeAllForUser = (userId) =>
+  RefreshToken.updateMany({ userId, revokedAt: null }, { $set: { revokedAt: new Date() } });
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  REFRESH_TOKEN_TTL_DAYS,
+  requestMeta,
+  signAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeSession,
+  revokeAllForUser
+};
@@ -0,0 +1,182 @@
+// services/validation.js
+//
+// Declarative request-body validation. A schema maps each writable field to a
+// rule; fields not in the schema are dropped, so clients can't set createdAt,
+// progress counters or anything else the route doesn't expect.
+//
+// Rule options:
+//   type       'string' | 'number' | 'integer' | 'boolean' | 'objectId' | 'array' | 'object'
+//   required   must be present (ignored for partial updates unless the field is sent)
+//   nullable   null is accepted and kept
+//   enum       allowed values
+//   min, max   number bounds
+//   minLength, maxLength   string length or array size
+//   items      rule for array items
+//   fields     schema for a nested object
+//   check      (value, body) => message | null, for anything else
+//
+// Every problem is collected, so one 400 response lists all field errors:
+//   { error: 'Validation failed', code: 'VALIDATION_ERROR', details: [{ field, message }] }
+
+const mongoose = require('mongoose');
+const { ValidationError } = require('./errors');
+
+const isValidObjectId = (id) => {
+  try {
+    return mongoose.Types.ObjectId.isValid(id) && String(new mongoose.Types.ObjectId(id)) === String(id);
+  } catch (e) {
+    return false;
+  }
+};
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === 'string',
+  number: (value) => typeof value === 'number' && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === 'boolean',
+  objectId: (value) => typeof value === 'string' && isValidObjectId(value),
+  array: Array.isArray,
+  object: isPlainObject
+};
+
+const TYPE_NAMES = {
+  string: 'a string',
+  number: 'a number',
+  integer: 'a whole number',
+  boolean: 'true or false',
+  objectId: 'a valid id',
+  array: 'an array',
+  object: 'an object'
+};
+
+// Validate one value against its rule. Returns the cleaned value.
+function checkValue(value, rule, field, errors, root) {
+  if (value === null && rule.nullable) return null;
+
+  const typeCheck = TYPE_CHECKS[rule.type];
+  if (typeCheck && !typeCheck(value)) {
+    errors.push({ field, message: `${field} must be ${TYPE_NAMES[rule.type]}` });
+    return undefined;
+  }
+
+  let cleaned = value;
+  if (rule.type === 'string') {
+    cleaned = value.trim();
+    if (rule.required && cleaned === '') {
+      errors.push({ field, message: `${field} is required` });
+      return undefined;
+    }
+  }
+
+  if (rule.enum && !rule.enum.includes(cleaned)) {
+    errors.push({ field, message: `${field} must be one of: ${rule.enum.join(', ')}` });
+  }
+  if (rule.min !== undefined && cleaned < rule.min) errors.push({ field, message: `${field} must be at least ${rule.min}` });
+  if (rule.max !== undefined && cleaned > rule.max) errors.push({ field, message: `${field} must be at most ${rule.max}` });
+
+  if (rule.type === 'string' || rule.type === 'array') {
+    const unit = rule.type === 'string' ? 'characters' : 'items';
+    if (rule.minLength !== undefined && cleaned.length < rule.minLength) {
+      errors.push({ field, message: `${field} must have at least ${rule.minLength} ${unit}` });
+    }
+    if (rule.maxLength !== undefined && cleaned.length > rule.maxLength) {
+      errors.push({ field, message: `${field} must have at most ${rule.maxLength} ${unit}` });
+    }
+  }
+
+  if (rule.type === 'array' && rule.items) {
+    cleaned = cleaned.map((item, idx) => checkValue(item, rule.items, `${field}[${idx}]`, errors, root));
+  }
+  if (rule.type === 'object' && rule.fields) {
+    cleaned = checkFields(cleaned, rule.fields, { partial: false, prefix: `${field}.` }, errors, root);
+  }
+
+  if (rule.check) {
+    const message = rule.check(cleaned, root);
+    if (message) errors.push({ field, message });
+  }
+  return cleaned;
+}
+
+function checkFields(input, schema, { partial, prefix = '' }, errors, root) {
+  const output = {};
+  for (const [name, rule] of Object.entries(schema)) {
+    const field = `${prefix}${name}`;
+    const value = input[name];
+    if (value === undefined) {
+      if (rule.required && !partial) errors.push({ field, message: `${field} is required` });
+      continue;
+    }
+    const cleaned = checkValue(value, rule, field, errors, root);
+    if (cleaned !== undefined) output[name] = cleaned;
+  }
+  return output;
+}
+
+/**
+ * Validate a request body.
+ * @param {Object} schema - field name -> rule
+ * @param {*} body
+ * @param {Object} [options] - { partial: true } for updates (required fields may be omitted)
+ * @returns {{ value: Object, errors: Array<{ field: string, message: string }> }}
+ */
+function validate(schema, body, { partial = false } = {}) {
+  const errors = [];
+  if (!isPlainObject(body)) {
+    return { value: {}, errors: [{ field: 'body', message: 'Request body must be a JSON object' }] };
+  }
+  const value = checkFields(body, schema, { partial }, errors, body);
+  if (partial && !errors.length && !Object.keys(value).length) {
+    errors.push({ field: 'body', message: 'No updatable fields were provided' });
+  }
+  return { value, errors };
+}
+
+const sendValidationErrors = (res, errors) =>
+  res.status(400).json({ error: 'Validation failed', code: 'VALIDATION_ERROR', details: errors });
+
+/**
+ * Middleware: validate req.body and replace it with the whitelisted fields.
+ */
+const validateBody = (schema, options) => (req, res, next) => {
+  const { value, errors } = validate(schema, req.body, options);
+  if (errors.length) return next(new ValidationError(errors));
+  req.body = value;
+  next();
+};
+
+/**
+ * A free-text query parameter such as search, trimmed ('' when absent).
+ * Repeating the parameter makes Express parse it as an array, which is
+ * rejected rather than searched for.
+ * @throws {ValidationError} when the value isn't a string
+ */
+function queryText(query, field) {
+  const value = query[field];
+  if (value === undefined) return '';
+  if (typeof value !== 'string') {
+    throw new ValidationError([{ field, message: `${field} must be a single string` }]);
+  }
+  return value.trim();
+}
+
+/**
+ * Field errors from a Mongoose ValidationError or CastError, or null for
+ * anything else. Lets schema-level rules produce the same 400 shape.
+ */
+function mongooseErrors(err) {
+  if (err instanceof mongoose.Error.ValidationError) {
+    return Object.values(err.errors).map(e => ({
+      field: e.path,
+      message: e.name === 'CastError' ? `${e.path} has an invalid value` : e.message
+    }));
+  }
+  if (err instanceof mongoose.Error.CastError) {
+    return [{ field: err.path, message: `${err.path} has an invalid value` }];
+  }
+  return null;
+}
+
+module.exports = { validate, validateBody, sendValidationErrors, queryText, mongooseErrors, isValidObjectId };
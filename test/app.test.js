@@ -0,0 +1,55 @@
+// test/app.test.js
+// createApp(): per-app config, error envelopes and authentication.
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const { createApp } = require('../app');
+const { startApp, stopApp, clearDatabase, signUp, auth } = require('./helpers');
+
+describe('createApp', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+  afterEach(clearDatabase);
+  after(stopApp);
+
+  it('requires a jwtSecret', () => {
+    assert.throws(() => createApp({ jwtSecret: '' }), /jwtSecret is required/);
+  });
+
+  it('answers the health check', async () => {
+    const res = await request(app).get('/health').expect(200);
+    assert.equal(res.body.status, 'OK');
+  });
+
+  it('sends unknown routes the error envelope', async () => {
+    const res = await request(app).get('/api/nope').expect(404);
+    assert.deepEqual(res.body, { error: 'Route not found', code: 'NOT_FOUND' });
+  });
+
+  it('keeps each app\'s config to itself', async () => {
+    const other = createApp({ jwtSecret: 'another-secret', logRequests: false, rateLimit: false });
+    assert.equal(app.locals.config.jwtSecret, 'test-secret');
+    assert.equal(other.locals.config.jwtSecret, 'another-secret');
+
+    // A token signed by one app is not accepted by the other
+    const user = await signUp(app);
+    await request(app).get('/api/auth/me').set(auth(user)).expect(200);
+    const res = await request(other).get('/api/auth/me').set(auth(user)).expect(403);
+    assert.equal(res.body.code, 'TOKEN_INVALID');
+  });
+
+  it('rejects requests without a token', async () => {
+    const res = await request(app).get('/api/auth/me').expect(401);
+    assert.equal(res.body.code, 'UNAUTHORIZED');
+  });
+
+  it('answers 404 for malformed ids', async () => {
+    const user = await signUp(app);
+    const res = await request(app).get('/api/words/not-an-id').set(auth(user)).expect(404);
+    assert.equal(res.body.code, 'NOT_FOUND');
+  });
+});
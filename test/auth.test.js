@@ -0,0 +1,112 @@
+// test/auth.test.js
+// Registration, login, progress updates and role changes.
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+const mongoose = require('mongoose');
+
+const User = require('../models/User');
+const { startApp, stopApp, clearDatabase, signUp, auth, PASSWORD } = require('./helpers');
+
+describe('auth', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+  afterEach(clearDatabase);
+  after(stopApp);
+
+  it('registers, logs in and returns the current user', async () => {
+    const user = await signUp(app, { email: 'ana@example.com' });
+    assert.ok(user.token);
+    assert.ok(user.refreshToken);
+
+    const login = await request(app).post('/api/auth/login').send({ email: 'ana@example.com', password: PASSWORD }).expect(200);
+    const me = await request(app).get('/api/auth/me').set({ Authorization: `Bearer ${login.body.token}` }).expect(200);
+    assert.equal(me.body.email, 'ana@example.com');
+    assert.equal(me.body.password, undefined);
+  });
+
+  it('rejects a second account with the same email', async () => {
+    await signUp(app, { email: 'ana@example.com' });
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Ana', email: 'ana@example.com', password: PASSWORD })
+      .expect(409);
+    assert.equal(res.body.code, 'CONFLICT');
+  });
+
+  it('lists every weak password problem as a field error', async () => {
+    const res = await request(app)
+      .post('/api/auth/register')
+      .send({ name: 'Ana', email: 'ana@example.com', password: 'short' })
+      .expect(400);
+    assert.equal(res.body.code, 'VALIDATION_ERROR');
+    assert.ok(res.body.details.every(detail => detail.field === 'password'));
+  });
+
+  it('exchanges a refresh token once', async () => {
+    const user = await signUp(app);
+    const refreshed = await request(app).post('/api/auth/refresh').send({ refreshToken: user.refreshToken }).expect(200);
+    assert.ok(refreshed.body.token);
+    await request(app).post('/api/auth/refresh').send({ refreshToken: user.refreshToken }).expect(401);
+  });
+
+  describe('PUT /api/auth/progress', () => {
+    it('updates saved stories', async () => {
+      const user = await signUp(app);
+      const storyId = new mongoose.Types.ObjectId().toString();
+      const res = await request(app)
+        .put('/api/auth/progress')
+        .set(auth(user))
+        .send({ progress: { savedStories: [storyId] } })
+        .expect(200);
+      assert.deepEqual(res.body.progress.savedStories, [storyId]);
+    });
+
+    for (const key of ['words', 'tests', 'learningPath', 'createdAt']) {
+      it(`rejects progress.${key}`, async () => {
+        const user = await signUp(app);
+        const res = await request(app)
+          .put('/api/auth/progress')
+          .set(auth(user))
+          .send({ progress: { [key]: { completedStages: ['stage-1'] } } })
+          .expect(400);
+        assert.ok(res.body.details.some(detail => detail.field === `progress.${key}`));
+      });
+    }
+
+    it('leaves server-owned progress untouched when rejecting', async () => {
+      const user = await signUp(app);
+      await request(app)
+        .put('/api/auth/progress')
+        .set(auth(user))
+        .send({ progress: { savedStories: [], learningPath: { completedStages: ['stage-9'] } } })
+        .expect(400);
+      const stored = await User.findById(user.id).lean();
+      assert.deepEqual(stored.progress.learningPath.completedStages, []);
+    });
+  });
+
+  describe('PUT /api/admin/users/:id/role', () => {
+    it('signs the user out so the old role can\'t be used', async () => {
+      const admin = await signUp(app, { role: 'admin' });
+      const other = await signUp(app, { role: 'admin' });
+      await request(app).get('/api/admin/users').set(auth(other)).expect(200);
+      // Revocation compares against the token's iat, which has one-second resolution
+      await new Promise(resolve => setTimeout(resolve, 1000));
+
+      await request(app).put(`/api/admin/users/${other.id}/role`).set(auth(admin)).send({ role: 'student' }).expect(200);
+
+      const res = await request(app).get('/api/admin/users').set(auth(other)).expect(403);
+      assert.equal(res.body.code, 'TOKEN_REVOKED');
+      await request(app).post('/api/auth/refresh').send({ refreshToken: other.refreshToken }).expect(401);
+    });
+
+    it('keeps the last admin', async () => {
+      const admin = await signUp(app, { role: 'admin' });
+      await request(app).put(`/api/admin/users/${admin.id}/role`).set(auth(admin)).send({ role: 'student' }).expect(400);
+    });
+  });
+});
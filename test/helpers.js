@@ -0,0 +1,85 @@
+// test/helpers.js
+//
+// Shared setup for the integration tests: an in-memory MongoDB, an app from
+// createApp() and helpers for signing users in. Each test file runs in its own
+// process (node --test), so each gets its own database.
+//
+// mongodb-memory-server downloads a mongod binary on first use. Offline, point
+// MONGOMS_SYSTEM_BINARY at an installed mongod, or set MONGO_URL to a running
+// server: each test file then uses (and finally drops) a database of its own.
+
+process.env.NODE_ENV = 'test';
+
+const mongoose = require('mongoose');
+const request = require('supertest');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createApp } = require('../app');
+const User = require('../models/User');
+
+const JWT_SECRET = 'test-secret';
+const PASSWORD = 'correct1horse';
+
+let mongo = null;
+
+/**
+ * Start MongoDB (or connect to MONGO_URL) and build an app against it.
+ * @param {Object} [overrides] - createApp() config overrides
+ * @returns {Promise<import('express').Express>}
+ */
+async function startApp(overrides = {}) {
+  if (process.env.MONGO_URL) {
+    await mongoose.connect(process.env.MONGO_URL, { dbName: `test-${process.pid}` });
+  } else {
+    // Honours MONGOMS_SYSTEM_BINARY (and the other MONGOMS_* settings) itself
+    mongo = await MongoMemoryServer.create();
+    await mongoose.connect(mongo.getUri());
+  }
+  // Unique indexes (journal days, emails) must exist before the tests race them
+  await Promise.all(Object.values(mongoose.models).map(Model => Model.init()));
+  return createApp({ jwtSecret: JWT_SECRET, logRequests: false, rateLimit: false, ...overrides });
+}
+
+async function stopApp() {
+  if (!mongo && mongoose.connection.db) await mongoose.connection.dropDatabase();
+  await mongoose.disconnect();
+  if (mongo) await mongo.stop();
+  mongo = null;
+}
+
+// Empty every collection, keeping the indexes
+async function clearDatabase() {
+  const collections = await mongoose.connection.db.collections();
+  await Promise.all(collections.map(collection => collection.deleteMany({})));
+}
+
+let userCount = 0;
+
+/**
+ * Register a user through the API and return its tokens.
+ * Admins are promoted in the database and signed in again, so their token carries the role.
+ * @param {import('express').Express} app
+ * @param {{ role?: 'admin'|'student', name?: string, email?: string }} [options]
+ * @returns {Promise<{ id: string, email: string, token: string, refreshToken: string }>}
+ */
+async function signUp(app, { role = 'student', name, email } = {}) {
+  userCount += 1;
+  const account = {
+    name: name || `Learner ${userCount}`,
+    email: email || `learner${userCount}@example.com`,
+    password: PASSWORD
+  };
+
+  const registered = await request(app).post('/api/auth/register').send(account).expect(200);
+  if (role === 'student') {
+    const { token, refreshToken, user } = registered.body;
+    return { id: String(user.id), email: account.email, token, refreshToken };
+  }
+
+  await User.updateOne({ _id: registered.body.user.id }, { $set: { role } });
+  const login = await request(app).post('/api/auth/login').send({ email: account.email, password: PASSWORD }).expect(200);
+  return { id: String(login.body.user.id), email: account.email, token: login.body.token, refreshToken: login.body.refreshToken };
+}
+
+const auth = (user) => ({ Authorization: `Bearer ${user.token}` });
+
+module.exports = { JWT_SECRET, PASSWORD, startApp, stopApp, clearDatabase, signUp, auth };
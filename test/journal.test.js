@@ -0,0 +1,50 @@
+// test/journal.test.js
+// Daily journal entries, including concurrent writes for the same day.
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const Journal = require('../models/Journal');
+const { startApp, stopApp, clearDatabase, signUp, auth } = require('./helpers');
+
+describe('journal', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+  afterEach(clearDatabase);
+  after(stopApp);
+
+  it('creates a day\'s entry, then updates it', async () => {
+    const user = await signUp(app);
+    const created = await request(app).post('/api/journal').set(auth(user)).send({ date: '2025-08-31', task1: 'Olá' }).expect(201);
+    assert.equal(created.body.task1, 'Olá');
+
+    const updated = await request(app).post('/api/journal').set(auth(user)).send({ date: '2025-08-31', task2: 'Tudo bem' }).expect(200);
+    assert.equal(updated.body.task1, 'Olá');
+    assert.equal(updated.body.task2, 'Tudo bem');
+  });
+
+  it('keeps one entry when the same day is posted concurrently', async () => {
+    const user = await signUp(app);
+    const responses = await Promise.all(['a', 'b', 'c', 'd'].map(task1 =>
+      request(app).post('/api/journal').set(auth(user)).send({ date: '2025-09-01', task1 })
+    ));
+
+    for (const res of responses) assert.ok([200, 201].includes(res.status), `status ${res.status}`);
+    assert.equal(await Journal.countDocuments({ userId: user.id, date: '2025-09-01' }), 1);
+  });
+
+  it('rejects invalid dates', async () => {
+    const user = await signUp(app);
+    await request(app).post('/api/journal').set(auth(user)).send({ date: '2025-02-30' }).expect(400);
+    await request(app).get('/api/journal/yesterday').set(auth(user)).expect(400);
+  });
+
+  it('doesn\'t write to another user\'s journal', async () => {
+    const user = await signUp(app);
+    const other = await signUp(app);
+    await request(app).post('/api/journal').set(auth(user)).send({ date: '2025-08-31', userId: other.id }).expect(403);
+  });
+});
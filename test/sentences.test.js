@@ -0,0 +1,65 @@
+// test/sentences.test.js
+// Public sentence lists with per-user practice, and concurrent practice attempts.
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const Sentence = require('../models/Sentence');
+const SentencePractice = require('../models/SentencePractice');
+const { startApp, stopApp, clearDatabase, signUp, auth } = require('./helpers');
+
+describe('sentences', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+  afterEach(clearDatabase);
+  after(stopApp);
+
+  const addSentences = () => Sentence.create([
+    { portuguese: 'Eu gosto de café.', english: 'I like coffee.', category: 'Food' },
+    { portuguese: 'O gato dorme.', english: 'The cat sleeps.', category: 'Animals' }
+  ]);
+
+  it('lists sentences publicly as a plain array', async () => {
+    await addSentences();
+    const res = await request(app).get('/api/sentences').expect(200);
+    assert.ok(Array.isArray(res.body));
+    assert.equal(res.body.length, 2);
+    assert.equal(res.body[0].practice, undefined);
+
+    await request(app).get('/api/sentences/categories').expect(200);
+    const random = await request(app).get('/api/sentences/random/1').expect(200);
+    assert.equal(random.body.length, 1);
+  });
+
+  it('rejects a repeated search parameter', async () => {
+    await request(app).get('/api/sentences?search=gato&search=cão').expect(400);
+  });
+
+  it('adds practice records with a token and pages on request', async () => {
+    const [coffee] = await addSentences();
+    const user = await signUp(app);
+    await request(app).post(`/api/sentences/${coffee._id}/practice`).set(auth(user)).send({ score: 0.5 }).expect(200);
+
+    const res = await request(app).get('/api/sentences?limit=1&practiced=true').set(auth(user)).expect(200);
+    assert.equal(res.body.sentences.length, 1);
+    assert.equal(res.body.sentences[0].practice.attempts, 1);
+    assert.equal(res.body.pagination.total, 1);
+  });
+
+  it('counts every concurrent practice attempt', async () => {
+    const [coffee] = await addSentences();
+    const user = await signUp(app);
+    const responses = await Promise.all([1, 0, 1, 0].map(score =>
+      request(app).post(`/api/sentences/${coffee._id}/practice`).set(auth(user)).send({ score })
+    ));
+
+    for (const res of responses) assert.equal(res.status, 200);
+    const record = await SentencePractice.findOne({ userId: user.id, sentenceId: coffee._id });
+    assert.equal(record.attempts, 4);
+    assert.equal(record.bestScore, 1);
+    assert.equal(record.averageScore, 0.5);
+  });
+});
@@ -0,0 +1,52 @@
+// test/stories.test.js
+// Story lists: the plain array by default, pages of summaries on request.
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const Story = require('../models/Story');
+const { startApp, stopApp, clearDatabase } = require('./helpers');
+
+describe('stories', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+  afterEach(clearDatabase);
+  after(stopApp);
+
+  const paragraph = { portuguese: 'O gato dorme.', english: 'The cat sleeps.' };
+  const addStories = () => Story.create([
+    { title: 'B', description: 'Second', difficulty: 2, category: 'Animals', paragraphs: [paragraph] },
+    { title: 'A', description: 'First', difficulty: 1, category: 'Animals', paragraphs: [paragraph, paragraph] },
+    { title: 'C', description: 'Third', difficulty: 3, category: 'Food', paragraphs: [] }
+  ]);
+
+  it('lists full stories as a plain array by default', async () => {
+    await addStories();
+    const res = await request(app).get('/api/stories').expect(200);
+    assert.ok(Array.isArray(res.body));
+    assert.deepEqual(res.body.map(s => s.title), ['A', 'B', 'C']);
+    assert.equal(res.body[0].paragraphs.length, 2);
+  });
+
+  it('still applies filters to the plain array', async () => {
+    await addStories();
+    const res = await request(app).get('/api/stories?category=Food').expect(200);
+    assert.deepEqual(res.body.map(s => s.title), ['C']);
+  });
+
+  it('pages summaries when page or limit is sent', async () => {
+    await addStories();
+    const res = await request(app).get('/api/stories?limit=2').expect(200);
+    assert.deepEqual(res.body.stories.map(s => s.title), ['A', 'B']);
+    assert.equal(res.body.stories[0].paragraphCount, 2);
+    assert.equal(res.body.stories[0].paragraphs, undefined);
+    assert.equal(res.body.pagination.total, 3);
+  });
+
+  it('rejects a repeated search parameter', async () => {
+    await request(app).get('/api/stories?search=gato&search=cão').expect(400);
+  });
+});
@@ -0,0 +1,109 @@
+// test/words.test.js
+// Word list, reviews and admin editing, plus CSV export.
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const request = require('supertest');
+
+const Word = require('../models/Word');
+const { startApp, stopApp, clearDatabase, signUp, auth } = require('./helpers');
+
+describe('words', () => {
+  let app;
+
+  before(async () => {
+    app = await startApp();
+  });
+  afterEach(clearDatabase);
+  after(stopApp);
+
+  const addWords = () => Word.create([
+    { portuguese: 'casa', english: 'house' },
+    { portuguese: 'gato', english: 'cat' },
+    { portuguese: 'livro', english: 'book' }
+  ]);
+
+  describe('GET /api/words', () => {
+    it('returns every word as a plain array with the user\'s progress', async () => {
+      await addWords();
+      const user = await signUp(app);
+      const res = await request(app).get('/api/words').set(auth(user)).expect(200);
+      assert.ok(Array.isArray(res.body));
+      assert.deepEqual(res.body.map(w => w.portuguese), ['casa', 'gato', 'livro']);
+      assert.equal(res.body[0].reviewCount, 0);
+    });
+
+    it('paginates when page or limit is sent', async () => {
+      await addWords();
+      const user = await signUp(app);
+      const res = await request(app).get('/api/words?limit=2').set(auth(user)).expect(200);
+      assert.equal(res.body.words.length, 2);
+      assert.equal(res.body.pagination.total, 3);
+      assert.equal(res.body.pagination.hasMore, true);
+    });
+
+    it('rejects a repeated search parameter', async () => {
+      const user = await signUp(app);
+      const res = await request(app).get('/api/words?search=casa&search=gato').set(auth(user)).expect(400);
+      assert.equal(res.body.code, 'VALIDATION_ERROR');
+    });
+  });
+
+  describe('PUT /api/words/:id', () => {
+    it('records a review, as POST /:id/review does', async () => {
+      const [casa, gato] = await addWords();
+      const user = await signUp(app);
+
+      const put = await request(app).put(`/api/words/${casa._id}`).set(auth(user)).send({ difficulty: 'easy' }).expect(200);
+      assert.equal(put.body.portuguese, 'casa');
+      assert.equal(put.body.reviewCount, 1);
+
+      const post = await request(app).post(`/api/words/${gato._id}/review`).set(auth(user)).send({ grade: 4 }).expect(200);
+      assert.equal(post.body.reviewCount, 1);
+    });
+
+    it('needs a grade', async () => {
+      const [casa] = await addWords();
+      const user = await signUp(app);
+      await request(app).put(`/api/words/${casa._id}`).set(auth(user)).send({ reviewCount: 9 }).expect(400);
+    });
+
+    it('doesn\'t edit the word', async () => {
+      const [casa] = await addWords();
+      const admin = await signUp(app, { role: 'admin' });
+      await request(app).put(`/api/words/${casa._id}`).set(auth(admin)).send({ grade: 3, english: 'home' }).expect(200);
+      assert.equal((await Word.findById(casa._id)).english, 'house');
+    });
+  });
+
+  describe('PUT /api/words/:id/details', () => {
+    it('lets admins edit a word', async () => {
+      const [casa] = await addWords();
+      const admin = await signUp(app, { role: 'admin' });
+      const res = await request(app).put(`/api/words/${casa._id}/details`).set(auth(admin)).send({ english: 'home' }).expect(200);
+      assert.equal(res.body.english, 'home');
+    });
+
+    it('is admin only', async () => {
+      const [casa] = await addWords();
+      const user = await signUp(app);
+      await request(app).put(`/api/words/${casa._id}/details`).set(auth(user)).send({ english: 'home' }).expect(403);
+    });
+
+    it('rejects a duplicate Portuguese text', async () => {
+      const [casa] = await addWords();
+      const admin = await signUp(app, { role: 'admin' });
+      const res = await request(app).put(`/api/words/${casa._id}/details`).set(auth(admin)).send({ portuguese: 'Gato' }).expect(409);
+      assert.equal(res.body.code, 'CONFLICT');
+    });
+  });
+
+  describe('GET /api/words/export', () => {
+    it('escapes cells a spreadsheet would run as formulas', async () => {
+      await Word.create({ portuguese: '=1+1', english: '@cmd' });
+      const admin = await signUp(app, { role: 'admin' });
+      const res = await request(app).get('/api/words/export?format=csv').set(auth(admin)).expect(200);
+      const [, row] = res.text.replace(/^\uFEFF/, '').trim().split('\n');
+      assert.ok(row.startsWith("'=1+1,'@cmd,"), row);
+    });
+  });
+});